@@ -10,10 +10,11 @@ CREATE TABLE IF NOT EXISTS pending_tag_assignments (
     project_id BIGINT NOT NULL,
     guest_id BIGINT NOT NULL,
     scanner_id BIGINT NOT NULL,
-    status ENUM('waiting', 'completed', 'cancelled') NOT NULL DEFAULT 'waiting',
+    status ENUM('waiting', 'conflict', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting',
     created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
     completed_at DATETIME(6) NULL,
     tag_id VARCHAR(255) NULL,
+    batch_item_id BIGINT NULL,
     
     -- Foreign key constraints
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
@@ -71,6 +72,8 @@ CREATE TABLE IF NOT EXISTS guests (
     email VARCHAR(255),
     phone VARCHAR(50),
     vip BOOLEAN DEFAULT FALSE,
+    qr_code VARCHAR(255) NULL,
+    checked_in_at DATETIME(6) NULL,
     created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
     updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
     
@@ -79,7 +82,9 @@ CREATE TABLE IF NOT EXISTS guests (
     INDEX idx_project_id (project_id),
     INDEX idx_name (name),
     INDEX idx_email (email),
-    INDEX idx_vip (vip)
+    INDEX idx_phone (phone),
+    INDEX idx_vip (vip),
+    INDEX idx_project_qr_code (project_id, qr_code)
 );
 
 -- Ensure scanners table exists
@@ -91,8 +96,12 @@ CREATE TABLE IF NOT EXISTS scanners (
     created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
     updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
     last_heartbeat DATETIME(6),
+    status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+    debounce_ms INT NULL,
+    organization_id BIGINT NULL,
     
     INDEX idx_mac_address (mac_address),
+    INDEX idx_organization_id (organization_id),
     INDEX idx_name (name),
     INDEX idx_last_heartbeat (last_heartbeat)
 );
@@ -124,13 +133,16 @@ CREATE TABLE IF NOT EXISTS organizations (
     INDEX idx_name (name)
 );
 
--- Create scans table for historical scan data (optional, for future use)
+-- Create scans table for historical scan data (every scan received at /api/tag-scan)
 CREATE TABLE IF NOT EXISTS scans (
     id BIGINT PRIMARY KEY AUTO_INCREMENT,
     project_id BIGINT NOT NULL,
     scanner_id BIGINT NOT NULL,
     tag_id VARCHAR(255) NOT NULL,
     guest_id BIGINT NULL,
+    scan_type VARCHAR(20) NOT NULL DEFAULT 'scan',
+    zone_id BIGINT NULL,
+    access_reason VARCHAR(50) NULL,
     scanned_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
     
     FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
@@ -168,8 +180,10 @@ INSERT IGNORE INTO project_scanners (project_id, scanner_id) VALUES
 INSERT IGNORE INTO tag_assignments (project_id, guest_id, tag_id) VALUES 
 (1, 1, 'Q3000E28011608000021C84A2622A4DBF');
 
--- Clean up old pending assignments (older than 1 hour)
-DELETE FROM pending_tag_assignments 
+-- Expire old pending assignments (older than 1 hour); the running server expires
+-- them after PENDING_ASSIGNMENT_TTL seconds
+UPDATE pending_tag_assignments
+SET status = 'expired'
 WHERE status = 'waiting' AND created_at < DATE_SUB(NOW(), INTERVAL 1 HOUR);
 
 -- Show table status
@@ -178,7 +192,8 @@ SELECT
     COUNT(*) as row_count,
     COUNT(CASE WHEN status = 'waiting' THEN 1 END) as waiting_count,
     COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_count,
-    COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_count
+    COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_count,
+    COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_count
 FROM pending_tag_assignments
 
 UNION ALL
@@ -188,7 +203,8 @@ SELECT
     COUNT(*) as row_count,
     NULL as waiting_count,
     NULL as completed_count,
-    NULL as cancelled_count
+    NULL as cancelled_count,
+    NULL as expired_count
 FROM tag_assignments
 
 UNION ALL
@@ -198,7 +214,8 @@ SELECT
     COUNT(*) as row_count,
     NULL as waiting_count,
     NULL as completed_count,
-    NULL as cancelled_count
+    NULL as cancelled_count,
+    NULL as expired_count
 FROM projects
 
 UNION ALL
@@ -208,7 +225,8 @@ SELECT
     COUNT(*) as row_count,
     NULL as waiting_count,
     NULL as completed_count,
-    NULL as cancelled_count
+    NULL as cancelled_count,
+    NULL as expired_count
 FROM guests
 
 UNION ALL
@@ -218,7 +236,8 @@ SELECT
     COUNT(*) as row_count,
     NULL as waiting_count,
     NULL as completed_count,
-    NULL as cancelled_count
+    NULL as cancelled_count,
+    NULL as expired_count
 FROM scanners;
 
 -- Show current assignments
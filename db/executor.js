@@ -0,0 +1,55 @@
+const RawSql = require('./raw-sql');
+
+// Dialect independent helpers shared by the MySQL and SQLite executors.
+// Subclasses provide query(), execute(), now() and upsertClause().
+// Transaction executors carry commitCallbacks, which the transaction runs after COMMIT.
+class Executor {
+    // Run fn once the transaction has committed; outside a transaction it runs right away.
+    // Rolled back transactions drop their callbacks.
+    afterCommit(fn) {
+        if (this.commitCallbacks) {
+            this.commitCallbacks.push(fn);
+        } else {
+            fn();
+        }
+    }
+
+    runCommitCallbacks() {
+        const callbacks = this.commitCallbacks || [];
+        this.commitCallbacks = null;
+        callbacks.forEach(fn => fn());
+    }
+
+    raw(sql) {
+        return new RawSql(sql);
+    }
+
+    // Split a row object into column names, VALUES placeholders and bound params
+    rowParts(row) {
+        const columns = Object.keys(row);
+        const placeholders = columns.map(column => row[column] instanceof RawSql ? row[column].sql : '?');
+        const params = columns.filter(column => !(row[column] instanceof RawSql)).map(column => row[column]);
+        return { columns, placeholders, params };
+    }
+
+    // Insert a row and return { insertId, affectedRows }
+    async insert(table, row) {
+        const { columns, placeholders, params } = this.rowParts(row);
+        return this.execute(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+        `, params);
+    }
+
+    // Insert a row, updating the given columns when a unique key collides
+    async upsert(table, row, conflictColumns, updateColumns) {
+        const { columns, placeholders, params } = this.rowParts(row);
+        return this.execute(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            ${this.upsertClause(conflictColumns, updateColumns)}
+        `, params);
+    }
+}
+
+module.exports = Executor;
@@ -0,0 +1,71 @@
+const MysqlDatabase = require('./mysql');
+const SqliteDatabase = require('./sqlite');
+const schema = require('./schema');
+
+// Create tables and add columns missing from databases created by older versions
+async function migrate(db, dialectSchema, log) {
+    for (const statement of dialectSchema.tables) {
+        await db.execute(statement);
+    }
+
+    for (const { table, column, definition } of dialectSchema.columns) {
+        if (!(await db.hasColumn(table, column))) {
+            await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            log('info', `Added column ${table}.${column}`);
+        }
+    }
+
+    // Only a database without projects and scanners gets the test data, so deleted test
+    // rows stay deleted across restarts
+    if (dialectSchema.demo) {
+        const [{ count }] = await db.query('SELECT (SELECT COUNT(*) FROM projects) + (SELECT COUNT(*) FROM scanners) as count');
+        if (Number(count) === 0) {
+            for (const statement of dialectSchema.demo) {
+                await db.execute(statement);
+            }
+            log('info', 'Added test project, guest and scanner to the new database');
+        }
+    }
+
+    for (const statement of dialectSchema.seed || []) {
+        await db.execute(statement);
+    }
+}
+
+// Connect to MySQL, falling back to the local SQLite file when MySQL is unreachable.
+// Both adapters expose the same interface: query, execute, insert, upsert, transaction,
+// now, raw, toDbDate and isUniqueViolation.
+async function initializeDatabase({ mysqlConfig, sqlitePath, log }) {
+    let mysqlDb;
+    try {
+        mysqlDb = new MysqlDatabase(mysqlConfig);
+        await mysqlDb.connect();
+        log('info', 'MySQL database connection established');
+
+        await migrate(mysqlDb, schema.mysql, log);
+        log('info', 'MySQL schema ready');
+
+        return mysqlDb;
+    } catch (error) {
+        log('warning', 'MySQL connection failed, falling back to SQLite', error.message);
+        if (mysqlDb) {
+            mysqlDb.close().catch(() => {});
+        }
+    }
+
+    try {
+        const sqliteDb = new SqliteDatabase(sqlitePath);
+        await sqliteDb.connect();
+        log('info', `SQLite database opened at ${sqlitePath}`);
+
+        await migrate(sqliteDb, schema.sqlite, log);
+        log('info', 'SQLite database initialized successfully');
+
+        return sqliteDb;
+    } catch (sqliteError) {
+        log('error', 'SQLite initialization failed', sqliteError.message);
+        throw sqliteError;
+    }
+}
+
+module.exports = { initializeDatabase };
@@ -0,0 +1,91 @@
+const mysql = require('mysql2/promise');
+const Executor = require('./executor');
+
+// Shared query helpers for the pool and for a connection inside a transaction
+class MysqlExecutor extends Executor {
+    constructor(target) {
+        super();
+        this.target = target;
+        this.dialect = 'mysql';
+    }
+
+    // Run a SELECT and return the rows
+    async query(sql, params = []) {
+        const [rows] = await this.target.query(sql, params);
+        return rows;
+    }
+
+    // Run an INSERT/UPDATE/DELETE and return { insertId, affectedRows }
+    async execute(sql, params = []) {
+        const [result] = await this.target.query(sql, params);
+        return {
+            insertId: result.insertId,
+            affectedRows: result.affectedRows
+        };
+    }
+
+    now() {
+        return 'NOW()';
+    }
+
+    // Bind value for comparing against DATETIME columns (mysql2 formats Dates in local time, like NOW())
+    toDbDate(date) {
+        return date;
+    }
+
+    upsertClause(conflictColumns, updateColumns) {
+        return `ON DUPLICATE KEY UPDATE ${updateColumns.map(column => `${column} = VALUES(${column})`).join(', ')}`;
+    }
+
+    isUniqueViolation(error) {
+        return error.code === 'ER_DUP_ENTRY';
+    }
+}
+
+class MysqlDatabase extends MysqlExecutor {
+    constructor(config) {
+        super(mysql.createPool(config));
+        this.pool = this.target;
+    }
+
+    async connect() {
+        const connection = await this.pool.getConnection();
+        await connection.ping();
+        connection.release();
+    }
+
+    // Run fn inside a transaction on a dedicated connection; its afterCommit callbacks run after COMMIT
+    async transaction(fn) {
+        const connection = await this.pool.getConnection();
+        const tx = new MysqlExecutor(connection);
+        tx.commitCallbacks = [];
+        let result;
+        try {
+            await connection.beginTransaction();
+            result = await fn(tx);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+        tx.runCommitCallbacks();
+        return result;
+    }
+
+    async hasColumn(table, column) {
+        const rows = await this.query(`
+            SELECT COUNT(*) as count
+            FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+        `, [table, column]);
+        return rows[0].count > 0;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = MysqlDatabase;
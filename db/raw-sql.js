@@ -0,0 +1,8 @@
+// Marker for SQL fragments that must be inlined instead of bound as parameters
+class RawSql {
+    constructor(sql) {
+        this.sql = sql;
+    }
+}
+
+module.exports = RawSql;
@@ -0,0 +1,757 @@
+// Tables the server creates on startup. The MySQL list only covers tables owned by the
+// admin server (the rest comes from database-setup.sql); the SQLite list creates the
+// full schema so the offline fallback works against an empty smartvisitor.db.
+
+const mysql = {
+    tables: [
+        `CREATE TABLE IF NOT EXISTS pending_tag_assignments (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            guest_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            status ENUM('waiting', 'conflict', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting',
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            completed_at DATETIME(6) NULL,
+            tag_id VARCHAR(255) NULL,
+            batch_item_id BIGINT NULL,
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+
+            INDEX idx_status_created (status, created_at),
+            INDEX idx_project_guest (project_id, guest_id),
+            INDEX idx_scanner_status (scanner_id, status)
+        )`,
+        // Databases created before assignments could conflict or expire
+        `ALTER TABLE pending_tag_assignments
+            MODIFY COLUMN status ENUM('waiting', 'conflict', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting'`,
+
+        `CREATE TABLE IF NOT EXISTS scans (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            tag_id VARCHAR(255) NOT NULL,
+            guest_id BIGINT NULL,
+            scan_type VARCHAR(20) NOT NULL DEFAULT 'scan',
+            zone_id BIGINT NULL,
+            access_reason VARCHAR(50) NULL,
+            scanned_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+
+            INDEX idx_project_id (project_id),
+            INDEX idx_scanner_id (scanner_id),
+            INDEX idx_tag_id (tag_id),
+            INDEX idx_guest_id (guest_id),
+            INDEX idx_scanned_at (scanned_at),
+            INDEX idx_project_scanned (project_id, scanned_at)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS users (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            username VARCHAR(50) NOT NULL UNIQUE,
+            name VARCHAR(255),
+            password_hash VARCHAR(255) NOT NULL,
+            role ENUM('admin', 'operator', 'viewer') NOT NULL DEFAULT 'viewer',
+            organization_id BIGINT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            last_login_at DATETIME(6) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS sessions (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id BIGINT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            expires_at DATETIME(6) NOT NULL,
+
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+            INDEX idx_expires_at (expires_at)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS webhook_keys (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            key_id VARCHAR(64) NOT NULL UNIQUE,
+            name VARCHAR(255) NOT NULL,
+            secret VARCHAR(255) NOT NULL,
+            scanner_id BIGINT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            expires_at DATETIME(6) NULL,
+            last_used_at DATETIME(6) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zones (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT NULL,
+            default_action ENUM('allow', 'deny') NOT NULL DEFAULT 'allow',
+            capacity INT NULL,
+            anti_passback ENUM('off', 'warn', 'deny') NOT NULL DEFAULT 'off',
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+
+            INDEX idx_project_id (project_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zone_scanners (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            zone_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            direction ENUM('entry', 'exit', 'toggle') NOT NULL DEFAULT 'entry',
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+
+            UNIQUE KEY unique_zone_scanner (zone_id, scanner_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zone_access_rules (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            zone_id BIGINT NOT NULL,
+            guest_id BIGINT NULL,
+            category VARCHAR(20) NULL,
+            action ENUM('allow', 'deny') NOT NULL,
+            starts_at DATETIME(6) NULL,
+            ends_at DATETIME(6) NULL,
+            note VARCHAR(255) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+
+            INDEX idx_zone_id (zone_id)
+        )`,
+
+        // The zone each guest is in right now; one row per guest inside a zone
+        `CREATE TABLE IF NOT EXISTS zone_presence (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            zone_id BIGINT NOT NULL,
+            guest_id BIGINT NOT NULL UNIQUE,
+            entered_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+
+            INDEX idx_zone_id (zone_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS outbound_webhooks (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            url VARCHAR(2048) NOT NULL,
+            events TEXT NOT NULL,
+            key_id VARCHAR(64) NOT NULL UNIQUE,
+            secret VARCHAR(255) NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+
+            INDEX idx_project_id (project_id)
+        )`,
+
+        // Outbox and delivery log of outbound webhooks
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            webhook_id BIGINT NOT NULL,
+            event_type VARCHAR(100) NOT NULL,
+            payload MEDIUMTEXT NOT NULL,
+            status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            last_attempt_at DATETIME(6) NULL,
+            response_status INT NULL,
+            last_error VARCHAR(500) NULL,
+            delivered_at DATETIME(6) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (webhook_id) REFERENCES outbound_webhooks(id) ON DELETE CASCADE,
+
+            INDEX idx_status_next_attempt (status, next_attempt_at),
+            INDEX idx_webhook_created (webhook_id, created_at)
+        )`,
+
+        // Users notified when a VIP of the project arrives
+        `CREATE TABLE IF NOT EXISTS project_hosts (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+            UNIQUE KEY unique_project_user (project_id, user_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS vip_alerts (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            guest_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            scan_id BIGINT NULL,
+            status ENUM('open', 'acknowledged') NOT NULL DEFAULT 'open',
+            acknowledged_by BIGINT NULL,
+            acknowledged_at DATETIME(6) NULL,
+            note VARCHAR(255) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+
+            INDEX idx_project_status (project_id, status),
+            INDEX idx_guest_created (guest_id, created_at)
+        )`,
+
+        // Who changed what; actor_username is kept when the user is deleted
+        `CREATE TABLE IF NOT EXISTS audit_events (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            organization_id BIGINT NULL,
+            project_id BIGINT NULL,
+            actor_user_id BIGINT NULL,
+            actor_username VARCHAR(50) NOT NULL,
+            action VARCHAR(100) NOT NULL,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id BIGINT NULL,
+            before_values MEDIUMTEXT NULL,
+            after_values MEDIUMTEXT NULL,
+            ip_address VARCHAR(45) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            INDEX idx_project_created (project_id, created_at),
+            INDEX idx_actor_created (actor_user_id, created_at),
+            INDEX idx_action_created (action, created_at),
+            INDEX idx_entity (entity_type, entity_id),
+            INDEX idx_organization_created (organization_id, created_at)
+        )`,
+
+        // Every binding of a tag to a guest. tag_assignments holds the current binding; here
+        // it is the row with valid_to NULL, earlier bindings are closed with an end_reason.
+        `CREATE TABLE IF NOT EXISTS tag_assignment_history (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            guest_id BIGINT NOT NULL,
+            tag_id VARCHAR(255) NOT NULL,
+            reason ENUM('assigned', 'replaced_lost_tag', 'transferred') NOT NULL DEFAULT 'assigned',
+            end_reason ENUM('replaced_lost_tag', 'transferred', 'removed') NULL,
+            assignment_id BIGINT NULL,
+            valid_from DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            valid_to DATETIME(6) NULL,
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+
+            INDEX idx_project_tag_from (project_id, tag_id, valid_from),
+            INDEX idx_guest_from (guest_id, valid_from)
+        )`,
+
+        // Lost or stolen tags; guest_id is who held the tag when it was blocked
+        `CREATE TABLE IF NOT EXISTS blocked_tags (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            tag_id VARCHAR(255) NOT NULL,
+            reason VARCHAR(255) NULL,
+            guest_id BIGINT NULL,
+            blocked_by BIGINT NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+            FOREIGN KEY (blocked_by) REFERENCES users(id) ON DELETE SET NULL,
+
+            UNIQUE KEY unique_project_tag (project_id, tag_id)
+        )`,
+
+        // Ordered queue of guests whose tags are encoded one after another on a scanner
+        `CREATE TABLE IF NOT EXISTS assignment_batches (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            name VARCHAR(255) NULL,
+            status ENUM('active', 'paused', 'completed', 'cancelled') NOT NULL DEFAULT 'active',
+            created_by BIGINT NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+            updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+            completed_at DATETIME(6) NULL,
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+
+            INDEX idx_scanner_status (scanner_id, status),
+            INDEX idx_project_created (project_id, created_at)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS assignment_batch_items (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            batch_id BIGINT NOT NULL,
+            guest_id BIGINT NOT NULL,
+            position INT NOT NULL,
+            status ENUM('queued', 'assigned', 'skipped') NOT NULL DEFAULT 'queued',
+            tag_id VARCHAR(255) NULL,
+            assigned_at DATETIME(6) NULL,
+
+            FOREIGN KEY (batch_id) REFERENCES assignment_batches(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+
+            UNIQUE KEY unique_batch_guest (batch_id, guest_id),
+            INDEX idx_batch_status_position (batch_id, status, position)
+        )`,
+
+        // Tokens of self-service check-in kiosks; like sessions only the SHA-256 is stored
+        `CREATE TABLE IF NOT EXISTS kiosk_tokens (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            project_id BIGINT NOT NULL,
+            scanner_id BIGINT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by BIGINT NULL,
+            last_used_at DATETIME(6) NULL,
+            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+
+            INDEX idx_project_id (project_id)
+        )`
+    ],
+    columns: [
+        // scans tables created from database-setup.sql before scan types were recorded
+        { table: 'scans', column: 'scan_type', definition: "VARCHAR(20) NOT NULL DEFAULT 'scan'" },
+        { table: 'scanners', column: 'status', definition: "VARCHAR(20) NOT NULL DEFAULT 'unknown'" },
+        { table: 'scans', column: 'zone_id', definition: 'BIGINT NULL' },
+        { table: 'scans', column: 'access_reason', definition: 'VARCHAR(50) NULL' },
+        { table: 'zones', column: 'capacity', definition: 'INT NULL' },
+        { table: 'zone_scanners', column: 'direction', definition: "ENUM('entry', 'exit', 'toggle') NOT NULL DEFAULT 'entry'" },
+        { table: 'zones', column: 'anti_passback', definition: "ENUM('off', 'warn', 'deny') NOT NULL DEFAULT 'off'" },
+        { table: 'scanners', column: 'debounce_ms', definition: 'INT NULL' },
+        // NULL: platform users and unassigned scanners
+        { table: 'users', column: 'organization_id', definition: 'BIGINT NULL' },
+        { table: 'scanners', column: 'organization_id', definition: 'BIGINT NULL' },
+        // Set on the waiting assignment of a batch's current guest
+        { table: 'pending_tag_assignments', column: 'batch_item_id', definition: 'BIGINT NULL' },
+        // Check-in at the entrance or a kiosk
+        { table: 'guests', column: 'qr_code', definition: 'VARCHAR(255) NULL' },
+        { table: 'guests', column: 'checked_in_at', definition: 'DATETIME(6) NULL' }
+    ],
+    seed: [
+        // Open history rows for tags assigned before the history was kept
+        `INSERT INTO tag_assignment_history (project_id, guest_id, tag_id, reason, valid_from)
+            SELECT ta.project_id, ta.guest_id, ta.tag_id, 'assigned', ta.assigned_at
+            FROM tag_assignments ta
+            WHERE NOT EXISTS (
+                SELECT 1 FROM tag_assignment_history h
+                WHERE h.project_id = ta.project_id AND h.guest_id = ta.guest_id AND h.valid_to IS NULL
+            )`
+    ]
+};
+
+const sqlite = {
+    tables: [
+        `CREATE TABLE IF NOT EXISTS organizations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS projects (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT,
+            organization_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS guests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            email TEXT,
+            phone TEXT,
+            vip BOOLEAN DEFAULT 0,
+            qr_code TEXT,
+            checked_in_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS scanners (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            mac_address TEXT NOT NULL UNIQUE,
+            location TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_heartbeat DATETIME,
+            status TEXT NOT NULL DEFAULT 'unknown',
+            debounce_ms INTEGER,
+            organization_id INTEGER
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS project_scanners (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            UNIQUE(project_id, scanner_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS tag_assignments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL,
+            tag_id TEXT NOT NULL,
+            assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id),
+            FOREIGN KEY (guest_id) REFERENCES guests(id),
+            UNIQUE(project_id, guest_id),
+            UNIQUE(project_id, tag_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS pending_tag_assignments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL,
+            scanner_id INTEGER,
+            tag_id TEXT,
+            status TEXT DEFAULT 'waiting',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            batch_item_id INTEGER,
+            FOREIGN KEY (project_id) REFERENCES projects(id),
+            FOREIGN KEY (guest_id) REFERENCES guests(id),
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS scans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            tag_id TEXT NOT NULL,
+            guest_id INTEGER,
+            scan_type TEXT NOT NULL DEFAULT 'scan',
+            zone_id INTEGER,
+            access_reason TEXT,
+            scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_scans_project_scanned ON scans (project_id, scanned_at)',
+        'CREATE INDEX IF NOT EXISTS idx_scans_tag_id ON scans (tag_id)',
+        'CREATE INDEX IF NOT EXISTS idx_scans_scanner_id ON scans (scanner_id)',
+        'CREATE INDEX IF NOT EXISTS idx_scans_guest_id ON scans (guest_id)',
+
+        `CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            name TEXT,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'viewer',
+            organization_id INTEGER,
+            active BOOLEAN NOT NULL DEFAULT 1,
+            last_login_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS webhook_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_id TEXT NOT NULL UNIQUE,
+            name TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            scanner_id INTEGER,
+            active BOOLEAN NOT NULL DEFAULT 1,
+            expires_at DATETIME,
+            last_used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            default_action TEXT NOT NULL DEFAULT 'allow',
+            capacity INTEGER,
+            anti_passback TEXT NOT NULL DEFAULT 'off',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zone_scanners (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            zone_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            direction TEXT NOT NULL DEFAULT 'entry',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            UNIQUE(zone_id, scanner_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS zone_access_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            zone_id INTEGER NOT NULL,
+            guest_id INTEGER,
+            category TEXT,
+            action TEXT NOT NULL,
+            starts_at DATETIME,
+            ends_at DATETIME,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_zone_access_rules_zone_id ON zone_access_rules (zone_id)',
+
+        `CREATE TABLE IF NOT EXISTS zone_presence (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            zone_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL UNIQUE,
+            entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_zone_presence_zone_id ON zone_presence (zone_id)',
+
+        `CREATE TABLE IF NOT EXISTS outbound_webhooks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            url TEXT NOT NULL,
+            events TEXT NOT NULL,
+            key_id TEXT NOT NULL UNIQUE,
+            secret TEXT NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            webhook_id INTEGER NOT NULL,
+            event_type TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_attempt_at DATETIME,
+            response_status INTEGER,
+            last_error TEXT,
+            delivered_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (webhook_id) REFERENCES outbound_webhooks(id) ON DELETE CASCADE
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status, next_attempt_at)',
+        'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)',
+
+        `CREATE TABLE IF NOT EXISTS project_hosts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(project_id, user_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS vip_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            scan_id INTEGER,
+            status TEXT NOT NULL DEFAULT 'open',
+            acknowledged_by INTEGER,
+            acknowledged_at DATETIME,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_vip_alerts_project_status ON vip_alerts (project_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_vip_alerts_guest_created ON vip_alerts (guest_id, created_at)',
+
+        `CREATE TABLE IF NOT EXISTS audit_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            project_id INTEGER,
+            actor_user_id INTEGER,
+            actor_username TEXT NOT NULL,
+            action TEXT NOT NULL,
+            entity_type TEXT NOT NULL,
+            entity_id INTEGER,
+            before_values TEXT,
+            after_values TEXT,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_project_created ON audit_events (project_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_actor_created ON audit_events (actor_user_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_action_created ON audit_events (action, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity_type, entity_id)',
+
+        `CREATE TABLE IF NOT EXISTS tag_assignment_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL,
+            tag_id TEXT NOT NULL,
+            reason TEXT NOT NULL DEFAULT 'assigned',
+            end_reason TEXT,
+            assignment_id INTEGER,
+            valid_from DATETIME DEFAULT CURRENT_TIMESTAMP,
+            valid_to DATETIME,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_tag_assignment_history_project_tag ON tag_assignment_history (project_id, tag_id, valid_from)',
+        'CREATE INDEX IF NOT EXISTS idx_tag_assignment_history_guest ON tag_assignment_history (guest_id, valid_from)',
+
+        `CREATE TABLE IF NOT EXISTS blocked_tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            tag_id TEXT NOT NULL,
+            reason TEXT,
+            guest_id INTEGER,
+            blocked_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+            FOREIGN KEY (blocked_by) REFERENCES users(id) ON DELETE SET NULL,
+            UNIQUE(project_id, tag_id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS assignment_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            name TEXT,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_assignment_batches_scanner_status ON assignment_batches (scanner_id, status)',
+
+        `CREATE TABLE IF NOT EXISTS assignment_batch_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            guest_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',
+            tag_id TEXT,
+            assigned_at DATETIME,
+            FOREIGN KEY (batch_id) REFERENCES assignment_batches(id) ON DELETE CASCADE,
+            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+            UNIQUE(batch_id, guest_id)
+        )`,
+
+        'CREATE INDEX IF NOT EXISTS idx_assignment_batch_items_position ON assignment_batch_items (batch_id, status, position)',
+
+        `CREATE TABLE IF NOT EXISTS kiosk_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            scanner_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            active BOOLEAN NOT NULL DEFAULT 1,
+            created_by INTEGER,
+            last_used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )`
+    ],
+    columns: [
+        // Databases created before completed_at was tracked
+        { table: 'pending_tag_assignments', column: 'completed_at', definition: 'DATETIME' },
+        { table: 'scanners', column: 'status', definition: "TEXT NOT NULL DEFAULT 'unknown'" },
+        { table: 'scans', column: 'zone_id', definition: 'INTEGER' },
+        { table: 'scans', column: 'access_reason', definition: 'TEXT' },
+        { table: 'zones', column: 'capacity', definition: 'INTEGER' },
+        { table: 'zone_scanners', column: 'direction', definition: "TEXT NOT NULL DEFAULT 'entry'" },
+        { table: 'zones', column: 'anti_passback', definition: "TEXT NOT NULL DEFAULT 'off'" },
+        { table: 'scanners', column: 'debounce_ms', definition: 'INTEGER' },
+        { table: 'users', column: 'organization_id', definition: 'INTEGER' },
+        { table: 'scanners', column: 'organization_id', definition: 'INTEGER' },
+        { table: 'pending_tag_assignments', column: 'batch_item_id', definition: 'INTEGER' },
+        { table: 'guests', column: 'qr_code', definition: 'TEXT' },
+        { table: 'guests', column: 'checked_in_at', definition: 'DATETIME' }
+    ],
+    // Test data for a new database; see migrate() in index.js
+    demo: [
+        "INSERT INTO projects (id, name, description) VALUES (1, 'Test Event', 'Test event for SmartVisitor system')",
+        "INSERT INTO guests (id, project_id, name, email, vip) VALUES (1, 1, 'Willem van Leunen', 'willem@example.com', 1)",
+        "INSERT INTO scanners (id, name, mac_address, location) VALUES (1, 'VIP Ingang Scanner', 'F0:F5:BD:54:36:A8', 'VIP Entrance')"
+    ],
+
+    seed: [
+        // Here rather than in tables: older databases only get qr_code from the columns migration
+        'CREATE INDEX IF NOT EXISTS idx_guests_project_qr_code ON guests (project_id, qr_code)',
+
+        // Open history rows for tags assigned before the history was kept
+        `INSERT INTO tag_assignment_history (project_id, guest_id, tag_id, reason, valid_from)
+            SELECT ta.project_id, ta.guest_id, ta.tag_id, 'assigned', ta.assigned_at
+            FROM tag_assignments ta
+            WHERE NOT EXISTS (
+                SELECT 1 FROM tag_assignment_history h
+                WHERE h.project_id = ta.project_id AND h.guest_id = ta.guest_id AND h.valid_to IS NULL
+            )`
+    ]
+};
+
+module.exports = { mysql, sqlite };
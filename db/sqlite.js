@@ -0,0 +1,143 @@
+const sqlite3 = require('sqlite3').verbose();
+const Executor = require('./executor');
+
+// Statement helpers for the single SQLite connection. Outside a transaction every
+// statement waits for the connection lock, so a running transaction never sees
+// statements from other requests interleaved with its own.
+class SqliteExecutor extends Executor {
+    constructor(database, inTransaction) {
+        super();
+        this.database = database;
+        this.inTransaction = inTransaction;
+        this.dialect = 'sqlite';
+    }
+
+    async query(sql, params = []) {
+        return this.database.withLock(this.inTransaction, () => this.database.all(sql, params));
+    }
+
+    async execute(sql, params = []) {
+        return this.database.withLock(this.inTransaction, () => this.database.run(sql, params));
+    }
+
+    now() {
+        return 'CURRENT_TIMESTAMP';
+    }
+
+    // Bind value for comparing against DATETIME columns (CURRENT_TIMESTAMP is 'YYYY-MM-DD HH:MM:SS' in UTC)
+    toDbDate(date) {
+        return date.toISOString().replace('T', ' ').substring(0, 19);
+    }
+
+    upsertClause(conflictColumns, updateColumns) {
+        return `ON CONFLICT(${conflictColumns.join(', ')}) DO UPDATE SET ${updateColumns.map(column => `${column} = excluded.${column}`).join(', ')}`;
+    }
+
+    isUniqueViolation(error) {
+        return error.code === 'SQLITE_CONSTRAINT' && /UNIQUE constraint failed/.test(error.message);
+    }
+}
+
+class SqliteDatabase extends SqliteExecutor {
+    constructor(filename) {
+        super(null, false);
+        this.database = this;
+        this.filename = filename;
+        this.lock = Promise.resolve();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.filename, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                this.db.serialize();
+                this.db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+                    if (pragmaErr) {
+                        reject(pragmaErr);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        });
+    }
+
+    // Serialize work on the connection; statements inside a transaction already hold the lock
+    withLock(alreadyHeld, fn) {
+        if (alreadyHeld) {
+            return fn();
+        }
+        const result = this.lock.then(fn);
+        this.lock = result.catch(() => {});
+        return result;
+    }
+
+    all(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    run(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({
+                    insertId: this.lastID,
+                    affectedRows: this.changes
+                });
+            });
+        });
+    }
+
+    // Run fn inside a transaction while holding the connection lock; its afterCommit
+    // callbacks run once the lock is released
+    async transaction(fn) {
+        const tx = new SqliteExecutor(this, true);
+        tx.commitCallbacks = [];
+        const result = await this.withLock(false, async () => {
+            await this.run('BEGIN IMMEDIATE', []);
+            try {
+                const value = await fn(tx);
+                await this.run('COMMIT', []);
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK', []);
+                throw error;
+            }
+        });
+        tx.runCommitCallbacks();
+        return result;
+    }
+
+    async hasColumn(table, column) {
+        const rows = await this.query(`PRAGMA table_info(${table})`);
+        return rows.some(row => row.name === column);
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = SqliteDatabase;
@@ -65,11 +65,12 @@ else
     print_warning "Projects API not responding"
 fi
 
-# Stats endpoint
-if curl -s http://localhost:3000/api/stats >/dev/null 2>&1; then
+# Stats endpoint (requires a session token, e.g. SMARTVISITOR_TOKEN=<token from /api/auth/login>)
+AUTH_HEADER="Authorization: Bearer ${SMARTVISITOR_TOKEN:-}"
+if curl -s -H "$AUTH_HEADER" http://localhost:3000/api/stats >/dev/null 2>&1; then
     print_success "Stats API responding"
     echo "Stats:"
-    curl -s http://localhost:3000/api/stats | jq . 2>/dev/null || curl -s http://localhost:3000/api/stats
+    curl -s -H "$AUTH_HEADER" http://localhost:3000/api/stats | jq . 2>/dev/null || curl -s -H "$AUTH_HEADER" http://localhost:3000/api/stats
 else
     print_warning "Stats API not responding"
 fi
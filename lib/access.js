@@ -0,0 +1,72 @@
+// Access decisions for scans at zone doors. A zone has a default action and a list
+// of rules; a rule targets one guest (guest_id) or a guest category and may be limited
+// to a time window. The caller marks each rule with in_window (1 when now falls inside
+// starts_at/ends_at). Guest rules beat category rules, and within a level deny beats allow.
+// A blocked (lost or stolen) tag is denied at every scanner, zone or not.
+
+const ACCESS_ACTIONS = ['allow', 'deny'];
+
+// How a scan at a zone scanner moves the guest: into the zone, out of it, or
+// toggling between the two (single reader on a door used both ways)
+const SCANNER_DIRECTIONS = ['entry', 'exit', 'toggle'];
+
+// What to do when a guest enters a zone again without exiting first: nothing, let them
+// in but flag the scan, or refuse entry
+const ANTI_PASSBACK_MODES = ['off', 'warn', 'deny'];
+
+// 'all' matches every guest; vip/regular follow guests.vip
+const GUEST_CATEGORIES = ['all', 'vip', 'regular'];
+
+function guestCategories(guest) {
+    return ['all', guest.vip ? 'vip' : 'regular'];
+}
+
+function pickRule(rules) {
+    return rules.find(rule => rule.action === 'deny') || rules[0];
+}
+
+// Returns { decision: 'allow' | 'deny', reason, ruleId }
+function evaluateAccess({ zone, rules, guest, blocked = false }) {
+    if (blocked) {
+        return { decision: 'deny', reason: 'blocked_tag', ruleId: null };
+    }
+    if (!zone) {
+        return { decision: 'allow', reason: 'no_zone', ruleId: null };
+    }
+    if (!guest) {
+        return { decision: 'deny', reason: 'unknown_tag', ruleId: null };
+    }
+
+    const categories = guestCategories(guest);
+    const guestRules = rules.filter(rule => rule.guest_id !== null && rule.guest_id !== undefined);
+    const categoryRules = rules.filter(rule => rule.guest_id === null || rule.guest_id === undefined);
+
+    const levels = [
+        { reason: 'guest_rule', rules: guestRules.filter(rule => Number(rule.guest_id) === Number(guest.id)) },
+        { reason: 'category_rule', rules: categoryRules.filter(rule => categories.includes(rule.category)) }
+    ];
+
+    for (const level of levels) {
+        const active = level.rules.filter(rule => Number(rule.in_window) === 1);
+        if (active.length > 0) {
+            const rule = pickRule(active);
+            return { decision: rule.action, reason: level.reason, ruleId: rule.id };
+        }
+    }
+
+    // A rule for this guest exists but not for now, e.g. VIP lounge before opening time
+    const outsideWindow = levels.some(level => level.rules.some(rule => rule.action === 'allow'));
+    if (zone.default_action === 'deny' && outsideWindow) {
+        return { decision: 'deny', reason: 'outside_time_window', ruleId: null };
+    }
+
+    return { decision: zone.default_action, reason: 'zone_default', ruleId: null };
+}
+
+module.exports = {
+    ACCESS_ACTIONS,
+    GUEST_CATEGORIES,
+    SCANNER_DIRECTIONS,
+    ANTI_PASSBACK_MODES,
+    evaluateAccess
+};
@@ -0,0 +1,20 @@
+// Audit trail of administrative actions (audit_events). Actions are named
+// `<entity>.<verb>`, e.g. tag_assignment.removed; before/after hold JSON snapshots of
+// the affected row with secrets blanked out.
+
+const REDACTED_COLUMNS = ['password', 'password_hash', 'secret', 'token_hash'];
+
+function auditSnapshot(values) {
+    if (values === null || values === undefined) {
+        return null;
+    }
+    const snapshot = { ...values };
+    REDACTED_COLUMNS.forEach(column => {
+        if (snapshot[column] !== undefined) {
+            snapshot[column] = '[redacted]';
+        }
+    });
+    return JSON.stringify(snapshot);
+}
+
+module.exports = { auditSnapshot };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Roles from least to most privileged; a role may do everything the roles before it can.
+// viewer: read-only dashboards, operator: door staff running tag assignments, admin: everything.
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Hash a password as scrypt$<cost>$<salt>$<hash> (hex)
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16);
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_COST }, (err, derived) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(`scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${derived.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, cost, saltHex, hashHex] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+            resolve(false);
+            return;
+        }
+        const expected = Buffer.from(hashHex, 'hex');
+        crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, { N: parseInt(cost) }, (err, derived) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(crypto.timingSafeEqual(derived, expected));
+        });
+    });
+}
+
+// Session tokens are random; only their SHA-256 is stored so a database leak does not leak sessions
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Bearer token from the Authorization header. allowQuery also accepts ?token=, used for
+// WebSocket upgrades because browsers cannot set headers on the handshake.
+function extractToken(req, allowQuery = false) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    if (allowQuery) {
+        return new URL(req.url, 'http://localhost').searchParams.get('token');
+    }
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    extractToken
+};
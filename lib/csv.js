@@ -0,0 +1,110 @@
+// Minimal RFC 4180 CSV reader/writer. Handles quoted fields with embedded
+// delimiters, quotes and newlines, CRLF line endings and the UTF-8 BOM that
+// Excel writes in front of "CSV UTF-8" exports.
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+// Pick the candidate delimiter that occurs most often in the header line (outside quotes).
+// Dutch Excel exports use ';', most other tools ','.
+function detectDelimiter(text) {
+    const counts = new Map(CANDIDATE_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of stripBom(text)) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    let best = ',';
+    for (const [delimiter, count] of counts) {
+        if (count > counts.get(best)) {
+            best = delimiter;
+        }
+    }
+    return best;
+}
+
+// Parse CSV text into an array of records (arrays of strings). Empty lines are skipped.
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const input = stripBom(text);
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\r') {
+            if (input[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+        } else if (char === '\n') {
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+
+    return records;
+}
+
+// Quote a value for CSV output when it contains the delimiter, quotes or newlines
+function formatCsvField(value, delimiter = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function formatCsvRow(values, delimiter = ',') {
+    return values.map(value => formatCsvField(value, delimiter)).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+    CANDIDATE_DELIMITERS,
+    detectDelimiter,
+    parseCsv,
+    formatCsvRow
+};
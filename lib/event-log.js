@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Bounded in-memory log of broadcast events so a reconnecting WebSocket client can catch
+// up. Every event gets the next sequence number; the oldest events fall off once the log
+// holds `limit` entries. The epoch changes on every server start, so sequence numbers from
+// an earlier run are never mixed up with the current ones.
+class EventLog {
+    constructor(limit) {
+        this.limit = limit;
+        this.epoch = crypto.randomBytes(6).toString('hex');
+        this.lastSeq = 0;
+        this.events = [];
+    }
+
+    // Stamps the message with its sequence number and stores it with its scope
+    append(message, scope = {}) {
+        const entry = { seq: ++this.lastSeq, message: { ...message, seq: this.lastSeq }, scope };
+        this.events.push(entry);
+        if (this.events.length > this.limit) {
+            this.events.shift();
+        }
+        return entry;
+    }
+
+    // Returns { events } with everything after lastSeq, or { resync: reason } when the
+    // gap can not be filled from the log
+    since(epoch, lastSeq) {
+        if (epoch !== this.epoch) {
+            return { resync: 'server_restarted' };
+        }
+        if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.lastSeq) {
+            return { resync: 'invalid_sequence' };
+        }
+        const oldestSeq = this.events.length > 0 ? this.events[0].seq : this.lastSeq + 1;
+        if (lastSeq < oldestSeq - 1) {
+            return { resync: 'too_old' };
+        }
+        return { events: this.events.filter(entry => entry.seq > lastSeq) };
+    }
+}
+
+module.exports = EventLog;
@@ -0,0 +1,61 @@
+const { formatCsvRow } = require('./csv');
+
+// Streams report rows to an HTTP response as CSV or a JSON array, waiting for the
+// socket to drain so large exports never buffer the whole report in memory.
+class ExportWriter {
+    constructor(res, { format, columns, filename }) {
+        this.res = res;
+        this.format = format;
+        this.columns = columns;
+        this.count = 0;
+
+        const extension = format === 'csv' ? 'csv' : 'json';
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+        if (format === 'csv') {
+            // BOM so Excel opens the UTF-8 file with the right encoding
+            res.write('\uFEFF' + formatCsvRow(columns));
+        } else {
+            res.write('[');
+        }
+    }
+
+    async write(row) {
+        let chunk;
+        if (this.format === 'csv') {
+            chunk = formatCsvRow(this.columns.map(column => row[column]));
+        } else {
+            const entry = {};
+            this.columns.forEach(column => {
+                entry[column] = row[column] === undefined ? null : row[column];
+            });
+            chunk = (this.count > 0 ? ',' : '') + '\n' + JSON.stringify(entry);
+        }
+        this.count++;
+
+        if (!this.res.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    this.res.off('close', onClose);
+                    resolve();
+                };
+                const onClose = () => {
+                    this.res.off('drain', onDrain);
+                    reject(new Error('Client closed the connection'));
+                };
+                this.res.once('drain', onDrain);
+                this.res.once('close', onClose);
+            });
+        }
+    }
+
+    end() {
+        if (this.format !== 'csv') {
+            this.res.write('\n]\n');
+        }
+        this.res.end();
+    }
+}
+
+module.exports = ExportWriter;
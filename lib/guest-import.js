@@ -0,0 +1,141 @@
+const { validateGuest } = require('./validation');
+
+// Header names recognised when no explicit column mapping is given (compared lowercase,
+// ignoring spaces, dashes and underscores). Covers English and Dutch client exports.
+const HEADER_ALIASES = {
+    name: ['name', 'naam', 'fullname', 'volledigenaam', 'guest', 'gast'],
+    firstName: ['firstname', 'voornaam', 'givenname'],
+    lastName: ['lastname', 'achternaam', 'surname', 'familyname'],
+    email: ['email', 'emailaddress', 'mail', 'emailadres'],
+    phone: ['phone', 'phonenumber', 'telephone', 'tel', 'telefoon', 'telefoonnummer', 'mobile', 'mobiel'],
+    vip: ['vip', 'isvip']
+};
+
+const VIP_TRUE = ['1', 'true', 'yes', 'y', 'ja', 'j', 'x', 'vip'];
+const VIP_FALSE = ['', '0', 'false', 'no', 'n', 'nee'];
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[\s\-_.]/g, '');
+}
+
+// Map guest fields to column indexes. mapping values may be header names or 0-based indexes;
+// fields not in mapping are matched against HEADER_ALIASES.
+function resolveColumns(header, mapping = {}) {
+    const normalized = header.map(normalizeHeader);
+    const columns = {};
+    const errors = [];
+
+    for (const field of Object.keys(HEADER_ALIASES)) {
+        const mapped = mapping[field];
+        if (mapped === undefined || mapped === null || mapped === '') {
+            const index = normalized.findIndex(name => HEADER_ALIASES[field].includes(name));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        } else if (Number.isInteger(mapped)) {
+            if (mapped < 0 || mapped >= header.length) {
+                errors.push(`Column index ${mapped} for ${field} is out of range`);
+            } else {
+                columns[field] = mapped;
+            }
+        } else {
+            const index = normalized.indexOf(normalizeHeader(mapped));
+            if (index === -1) {
+                errors.push(`Column "${mapped}" for ${field} not found in header`);
+            } else {
+                columns[field] = index;
+            }
+        }
+    }
+
+    if (columns.name === undefined && columns.firstName === undefined && columns.lastName === undefined) {
+        errors.push('No name column found; map name (or firstName/lastName) explicitly');
+    }
+
+    return { columns, errors };
+}
+
+function parseVip(value) {
+    const normalized = String(value).trim().toLowerCase();
+    if (VIP_TRUE.includes(normalized)) {
+        return true;
+    }
+    if (VIP_FALSE.includes(normalized)) {
+        return false;
+    }
+    return value;
+}
+
+function cell(record, index) {
+    return index === undefined ? undefined : (record[index] || '').trim();
+}
+
+// Validate parsed CSV records (first record is the header) and classify each row:
+// 'new', 'existing' (email already in the project), 'duplicate' (email repeated
+// earlier in the file) or 'invalid'. existingGuests maps lowercase email to guest id.
+function buildGuestImport(records, { mapping, existingGuests }) {
+    if (records.length === 0) {
+        return { errors: ['The file is empty'], rows: [] };
+    }
+
+    const [header, ...dataRecords] = records;
+    const { columns, errors } = resolveColumns(header, mapping);
+    if (errors.length > 0) {
+        return { errors, rows: [] };
+    }
+
+    const seenEmails = new Map();
+
+    const rows = dataRecords.map((record, index) => {
+        const rowNumber = index + 2;
+        let name = cell(record, columns.name);
+        if (!name) {
+            name = [cell(record, columns.firstName), cell(record, columns.lastName)].filter(Boolean).join(' ');
+        }
+
+        const input = { name };
+        if (columns.email !== undefined) {
+            input.email = cell(record, columns.email);
+        }
+        if (columns.phone !== undefined) {
+            input.phone = cell(record, columns.phone);
+        }
+        if (columns.vip !== undefined) {
+            input.vip = parseVip(cell(record, columns.vip));
+        }
+
+        const { values, errors: rowErrors } = validateGuest(input);
+        const row = { row: rowNumber, values, errors: rowErrors, status: 'new' };
+
+        if (rowErrors.length > 0) {
+            row.status = 'invalid';
+        } else if (values.email && seenEmails.has(values.email)) {
+            row.status = 'duplicate';
+            row.errors = [`Duplicate of row ${seenEmails.get(values.email)}`];
+        } else if (values.email && existingGuests.has(values.email)) {
+            row.status = 'existing';
+            row.guestId = existingGuests.get(values.email);
+        }
+
+        if (row.status !== 'invalid' && values.email && !seenEmails.has(values.email)) {
+            seenEmails.set(values.email, rowNumber);
+        }
+
+        return row;
+    });
+
+    return { errors: [], rows };
+}
+
+function summarizeImport(rows) {
+    const summary = { total: rows.length, new: 0, existing: 0, duplicate: 0, invalid: 0 };
+    rows.forEach(row => {
+        summary[row.status]++;
+    });
+    return summary;
+}
+
+module.exports = {
+    buildGuestImport,
+    summarizeImport
+};
@@ -0,0 +1,42 @@
+// Keyset pagination for lists sorted on more than the id: the cursor holds the sort values of
+// the last row of a page (ending with its id, so rows with equal values keep a fixed order)
+// and the next page starts after them. Cursors are opaque base64url JSON to clients.
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Returns the cursor's values, or null when it is not a cursor of `length` values ending in an id
+function decodeCursor(cursor, length) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (Array.isArray(values) && values.length === length && Number.isInteger(values[length - 1])) {
+            return values;
+        }
+    } catch (error) {
+        // fall through: not a cursor
+    }
+    return null;
+}
+
+// WHERE condition for the rows after `values` in ORDER BY `columns` (all in the same direction):
+// (c1 > ?) OR (c1 = ? AND c2 > ?) ...
+function keysetCondition(columns, values, descending = false) {
+    const operator = descending ? '<' : '>';
+    const clauses = [];
+    const params = [];
+
+    columns.forEach((column, index) => {
+        const equal = columns.slice(0, index).map(previous => `${previous} = ?`);
+        clauses.push(`(${[...equal, `${column} ${operator} ?`].join(' AND ')})`);
+        params.push(...values.slice(0, index + 1));
+    });
+
+    return { sql: `(${clauses.join(' OR ')})`, params };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    keysetCondition
+};
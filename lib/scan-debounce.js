@@ -0,0 +1,52 @@
+// Collapses repeated reads of the same tag on the same scanner. A read within windowMs of
+// the previous read is a duplicate; every read extends the window, so a tag left lying on
+// the reader stays collapsed into one scan.
+class ScanDebouncer {
+    constructor() {
+        this.reads = new Map();
+        this.maxWindowMs = 0;
+    }
+
+    // Returns { duplicate, entry }. The caller stores a promise of the first read's outcome
+    // in entry.outcome, which duplicates wait for instead of processing the scan again.
+    // check() and that assignment must not be separated by an await.
+    check(key, windowMs, now = Date.now()) {
+        this.prune(now);
+
+        const previous = this.reads.get(key);
+        this.reads.delete(key);
+
+        if (previous && now - previous.at < windowMs) {
+            previous.at = now;
+            previous.count++;
+            this.reads.set(key, previous);
+            return { duplicate: true, entry: previous };
+        }
+
+        const entry = { at: now, count: 1, outcome: null };
+        if (windowMs > 0) {
+            this.maxWindowMs = Math.max(this.maxWindowMs, windowMs);
+            this.reads.set(key, entry);
+        }
+        return { duplicate: false, entry };
+    }
+
+    // Drop the entry of a failed read, unless a newer read of the key replaced it already
+    forget(key, entry) {
+        if (this.reads.get(key) === entry) {
+            this.reads.delete(key);
+        }
+    }
+
+    // Entries are kept in order of their last read, so stop at the first one still in use
+    prune(now) {
+        for (const [key, entry] of this.reads) {
+            if (now - entry.at < this.maxWindowMs) {
+                break;
+            }
+            this.reads.delete(key);
+        }
+    }
+}
+
+module.exports = ScanDebouncer;
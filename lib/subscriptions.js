@@ -0,0 +1,103 @@
+const { parseId } = require('./validation');
+
+// WebSocket subscriptions of one client. A topic is an optional project and scanner filter
+// with the event types wanted for it (null = every type). An event matches a topic unless
+// it belongs to another project or scanner; events without a project (e.g. scanner_status)
+// pass every project filter.
+class Subscriptions {
+    constructor() {
+        this.topics = new Map();
+    }
+
+    // Validate a subscribe/unsubscribe message: { events?, projectId?, scannerId? }
+    static parse(data) {
+        const errors = [];
+        const filter = { projectId: null, scannerId: null };
+        let events = null;
+
+        for (const field of ['projectId', 'scannerId']) {
+            if (data[field] !== undefined && data[field] !== null) {
+                filter[field] = parseId(data[field]);
+                if (!filter[field]) {
+                    errors.push(`${field} must be a positive integer`);
+                }
+            }
+        }
+
+        if (data.events !== undefined && data.events !== null) {
+            if (!Array.isArray(data.events) || data.events.some(event => typeof event !== 'string')) {
+                errors.push('events must be an array of event types');
+            } else if (data.events.length > 0) {
+                events = data.events;
+            }
+        }
+
+        return { filter, events, errors };
+    }
+
+    static key({ projectId, scannerId }) {
+        return `${projectId || '*'}:${scannerId || '*'}`;
+    }
+
+    subscribe(filter, events) {
+        const key = Subscriptions.key(filter);
+        const topic = this.topics.get(key);
+
+        if (!topic) {
+            this.topics.set(key, { ...filter, events: events ? new Set(events) : null });
+        } else if (!events) {
+            topic.events = null;
+        } else if (topic.events) {
+            events.forEach(event => topic.events.add(event));
+        }
+    }
+
+    // Without events the whole topic is dropped. Listing events only removes them from
+    // topics that name their events; a topic for every event type stays as it is.
+    unsubscribe(filter, events) {
+        const key = Subscriptions.key(filter);
+        const topic = this.topics.get(key);
+
+        if (!topic) {
+            return;
+        }
+        if (!events) {
+            this.topics.delete(key);
+        } else if (topic.events) {
+            events.forEach(event => topic.events.delete(event));
+            if (topic.events.size === 0) {
+                this.topics.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.topics.clear();
+    }
+
+    matches(type, scope = {}) {
+        for (const topic of this.topics.values()) {
+            if (topic.events && !topic.events.has(type)) {
+                continue;
+            }
+            if (topic.projectId && scope.projectId && Number(scope.projectId) !== topic.projectId) {
+                continue;
+            }
+            if (topic.scannerId && scope.scannerId && Number(scope.scannerId) !== topic.scannerId) {
+                continue;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    list() {
+        return [...this.topics.values()].map(topic => ({
+            projectId: topic.projectId,
+            scannerId: topic.scannerId,
+            events: topic.events ? [...topic.events] : null
+        }));
+    }
+}
+
+module.exports = Subscriptions;
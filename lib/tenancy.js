@@ -0,0 +1,54 @@
+// Organizations separate the clients that run events on one server. Users, projects and
+// scanners belong to an organization; a user without organization (the platform operator)
+// sees every organization. Guests, zones, scans, assignments etc. belong to the
+// organization of their project.
+
+function isPlatformUser(user) {
+    return Boolean(user) && (user.organization_id === null || user.organization_id === undefined);
+}
+
+function canAccessOrganization(user, organizationId) {
+    if (isPlatformUser(user)) {
+        return true;
+    }
+    return organizationId !== null && organizationId !== undefined && Number(organizationId) === Number(user.organization_id);
+}
+
+// Organization of every project and scanner, kept in memory so WebSocket broadcasts can
+// be limited to the clients of one organization without a query per event
+class OrganizationIndex {
+    constructor() {
+        this.projects = new Map();
+        this.scanners = new Map();
+    }
+
+    load(projects, scanners) {
+        projects.forEach(project => this.setProject(project.id, project.organization_id));
+        scanners.forEach(scanner => this.setScanner(scanner.id, scanner.organization_id));
+    }
+
+    setProject(projectId, organizationId) {
+        this.projects.set(Number(projectId), organizationId === null || organizationId === undefined ? null : Number(organizationId));
+    }
+
+    setScanner(scannerId, organizationId) {
+        this.scanners.set(Number(scannerId), organizationId === null || organizationId === undefined ? null : Number(organizationId));
+    }
+
+    // Organization of a broadcast scope: its project's, else its scanner's, else null
+    resolve(scope = {}) {
+        if (scope.projectId && this.projects.has(Number(scope.projectId))) {
+            return this.projects.get(Number(scope.projectId));
+        }
+        if (scope.scannerId && this.scanners.has(Number(scope.scannerId))) {
+            return this.scanners.get(Number(scope.scannerId));
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    isPlatformUser,
+    canAccessOrganization,
+    OrganizationIndex
+};
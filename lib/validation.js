@@ -0,0 +1,472 @@
+// Input validation for the admin CRUD routes. Each validator returns
+// { values, errors }: values holds the normalized columns that were supplied,
+// errors lists human readable problems. With partial = true (updates) missing
+// required fields are allowed.
+
+const { ROLES } = require('./auth');
+const { ACCESS_ACTIONS, GUEST_CATEGORIES, ANTI_PASSBACK_MODES } = require('./access');
+
+const MAC_ADDRESS_PATTERN = /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function has(body, field) {
+    return Object.prototype.hasOwnProperty.call(body, field) && body[field] !== undefined;
+}
+
+function optionalString(value) {
+    if (value === null) {
+        return null;
+    }
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+function requireString(body, field, column, maxLength, partial, values, errors) {
+    if (!has(body, field)) {
+        if (!partial) {
+            errors.push(`${field} is required`);
+        }
+        return;
+    }
+    const value = optionalString(body[field]);
+    if (!value) {
+        errors.push(`${field} must not be empty`);
+    } else if (value.length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+    } else {
+        values[column] = value;
+    }
+}
+
+function parseBoolean(value) {
+    if (value === true || value === 1 || value === '1' || value === 'true') {
+        return true;
+    }
+    if (value === false || value === 0 || value === '0' || value === 'false' || value === null || value === '') {
+        return false;
+    }
+    return undefined;
+}
+
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function optionalOrganization(body, values, errors) {
+    if (has(body, 'organizationId')) {
+        if (body.organizationId === null) {
+            values.organization_id = null;
+        } else if (parseId(body.organizationId)) {
+            values.organization_id = parseId(body.organizationId);
+        } else {
+            errors.push('organizationId must be a positive integer');
+        }
+    }
+}
+
+function validateOrganization(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'description')) {
+        values.description = optionalString(body.description);
+    }
+
+    return { values, errors };
+}
+
+function validateProject(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'description')) {
+        values.description = optionalString(body.description);
+    }
+
+    optionalOrganization(body, values, errors);
+
+    return { values, errors };
+}
+
+function validateGuest(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'email')) {
+        const email = optionalString(body.email);
+        if (email && !EMAIL_PATTERN.test(email)) {
+            errors.push('email is not a valid email address');
+        } else if (email && email.length > 255) {
+            errors.push('email must be at most 255 characters');
+        } else {
+            values.email = email ? email.toLowerCase() : null;
+        }
+    }
+
+    if (has(body, 'phone')) {
+        const phone = optionalString(body.phone);
+        if (phone && !/^[+0-9 ()\-.]{3,50}$/.test(phone)) {
+            errors.push('phone may only contain digits, spaces and + ( ) - .');
+        } else {
+            values.phone = phone;
+        }
+    }
+
+    if (has(body, 'vip')) {
+        const vip = parseBoolean(body.vip);
+        if (vip === undefined) {
+            errors.push('vip must be a boolean');
+        } else {
+            values.vip = vip ? 1 : 0;
+        }
+    }
+
+    // Code on the guest's ticket or invitation, looked up by check-in kiosks
+    if (has(body, 'qrCode')) {
+        const qrCode = optionalString(body.qrCode);
+        if (qrCode && qrCode.length > 255) {
+            errors.push('qrCode must be at most 255 characters');
+        } else {
+            values.qr_code = qrCode;
+        }
+    }
+
+    return { values, errors };
+}
+
+function validateScanner(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'macAddress')) {
+        const mac = optionalString(body.macAddress);
+        if (!mac || !MAC_ADDRESS_PATTERN.test(mac)) {
+            errors.push('macAddress must look like F0:F5:BD:54:36:A8');
+        } else {
+            values.mac_address = mac.toUpperCase();
+        }
+    } else if (!partial) {
+        errors.push('macAddress is required');
+    }
+
+    if (has(body, 'location')) {
+        const location = optionalString(body.location);
+        if (location && location.length > 255) {
+            errors.push('location must be at most 255 characters');
+        } else {
+            values.location = location;
+        }
+    }
+
+    // Per-scanner duplicate read window; null falls back to SCAN_DEBOUNCE_MS, 0 disables
+    if (has(body, 'debounceMs')) {
+        const debounceMs = body.debounceMs === null || body.debounceMs === '' ? null : Number(body.debounceMs);
+        if (debounceMs !== null && (!Number.isInteger(debounceMs) || debounceMs < 0 || debounceMs > 60000)) {
+            errors.push('debounceMs must be an integer between 0 and 60000, or null');
+        } else {
+            values.debounce_ms = debounceMs;
+        }
+    }
+
+    optionalOrganization(body, values, errors);
+
+    return { values, errors };
+}
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/i;
+
+// Returns the plain password separately in values.password; the caller hashes it
+function validateUser(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    if (has(body, 'username')) {
+        const username = optionalString(body.username);
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            errors.push('username must be 3-50 letters, digits, dots, dashes or underscores');
+        } else {
+            values.username = username.toLowerCase();
+        }
+    } else if (!partial) {
+        errors.push('username is required');
+    }
+
+    if (has(body, 'password')) {
+        if (typeof body.password !== 'string' || body.password.length < 8) {
+            errors.push('password must be at least 8 characters');
+        } else {
+            values.password = body.password;
+        }
+    } else if (!partial) {
+        errors.push('password is required');
+    }
+
+    if (has(body, 'name')) {
+        values.name = optionalString(body.name);
+    }
+
+    if (has(body, 'role')) {
+        if (!ROLES.includes(body.role)) {
+            errors.push(`role must be one of: ${ROLES.join(', ')}`);
+        } else {
+            values.role = body.role;
+        }
+    } else if (!partial) {
+        errors.push('role is required');
+    }
+
+    if (has(body, 'active')) {
+        const active = parseBoolean(body.active);
+        if (active === undefined) {
+            errors.push('active must be a boolean');
+        } else {
+            values.active = active ? 1 : 0;
+        }
+    }
+
+    optionalOrganization(body, values, errors);
+
+    return { values, errors };
+}
+
+function validateZone(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'description')) {
+        values.description = optionalString(body.description);
+    }
+
+    if (has(body, 'defaultAction')) {
+        if (!ACCESS_ACTIONS.includes(body.defaultAction)) {
+            errors.push(`defaultAction must be one of: ${ACCESS_ACTIONS.join(', ')}`);
+        } else {
+            values.default_action = body.defaultAction;
+        }
+    }
+
+    if (has(body, 'capacity')) {
+        if (body.capacity === null || body.capacity === '') {
+            values.capacity = null;
+        } else if (parseId(body.capacity)) {
+            values.capacity = parseId(body.capacity);
+        } else {
+            errors.push('capacity must be a positive integer or null');
+        }
+    }
+
+    if (has(body, 'antiPassback')) {
+        if (!ANTI_PASSBACK_MODES.includes(body.antiPassback)) {
+            errors.push(`antiPassback must be one of: ${ANTI_PASSBACK_MODES.join(', ')}`);
+        } else {
+            values.anti_passback = body.antiPassback;
+        }
+    }
+
+    return { values, errors };
+}
+
+function optionalDate(body, field, column, values, errors) {
+    if (!has(body, field) || body[field] === null || body[field] === '') {
+        return;
+    }
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+        errors.push(`${field} must be an ISO date`);
+    } else {
+        values[column] = date;
+    }
+}
+
+// A rule targets either one guest (guestId) or a category. starts_at/ends_at are
+// returned as Date objects; the caller converts them for the database.
+function validateAccessRule(body) {
+    const values = {};
+    const errors = [];
+
+    const hasGuest = has(body, 'guestId') && body.guestId !== null;
+    const hasCategory = has(body, 'category') && body.category !== null;
+
+    if (hasGuest === hasCategory) {
+        errors.push('Provide either guestId or category');
+    } else if (hasGuest) {
+        if (parseId(body.guestId)) {
+            values.guest_id = parseId(body.guestId);
+        } else {
+            errors.push('guestId must be a positive integer');
+        }
+    } else if (!GUEST_CATEGORIES.includes(body.category)) {
+        errors.push(`category must be one of: ${GUEST_CATEGORIES.join(', ')}`);
+    } else {
+        values.category = body.category;
+    }
+
+    if (!ACCESS_ACTIONS.includes(body.action)) {
+        errors.push(`action must be one of: ${ACCESS_ACTIONS.join(', ')}`);
+    } else {
+        values.action = body.action;
+    }
+
+    optionalDate(body, 'startsAt', 'starts_at', values, errors);
+    optionalDate(body, 'endsAt', 'ends_at', values, errors);
+    if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) {
+        errors.push('endsAt must be after startsAt');
+    }
+
+    if (has(body, 'note')) {
+        const note = optionalString(body.note);
+        if (note && note.length > 255) {
+            errors.push('note must be at most 255 characters');
+        } else {
+            values.note = note;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Outbound webhook; events is stored as a JSON array in values.events
+function validateWebhook(body, partial = false) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, partial, values, errors);
+
+    if (has(body, 'url')) {
+        const url = optionalString(body.url);
+        let parsed = null;
+        try {
+            parsed = url ? new URL(url) : null;
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            errors.push('url must be an http(s) URL');
+        } else if (url.length > 2048) {
+            errors.push('url must be at most 2048 characters');
+        } else {
+            values.url = url;
+        }
+    } else if (!partial) {
+        errors.push('url is required');
+    }
+
+    if (has(body, 'events')) {
+        const events = Array.isArray(body.events) ? body.events.map(optionalString) : null;
+        if (!events || events.length === 0 || events.some(event => !event || event.length > 100)) {
+            errors.push('events must be a non-empty array of event types (or ["*"])');
+        } else {
+            values.events = JSON.stringify([...new Set(events)]);
+        }
+    } else if (!partial) {
+        errors.push('events is required');
+    }
+
+    if (has(body, 'active')) {
+        const active = parseBoolean(body.active);
+        if (active === undefined) {
+            errors.push('active must be a boolean');
+        } else {
+            values.active = active ? 1 : 0;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Lost or stolen tag on a project's blocklist
+function validateBlockedTag(body) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'tagId', 'tag_id', 255, false, values, errors);
+
+    if (has(body, 'reason')) {
+        const reason = optionalString(body.reason);
+        if (reason && reason.length > 255) {
+            errors.push('reason must be at most 255 characters');
+        } else {
+            values.reason = reason;
+        }
+    }
+
+    return { values, errors };
+}
+
+const MAX_BATCH_SIZE = 5000;
+
+// Batch tag assignment; values.guest_ids holds the guests in queue order
+function validateAssignmentBatch(body) {
+    const values = {};
+    const errors = [];
+
+    if (parseId(body.scannerId)) {
+        values.scanner_id = parseId(body.scannerId);
+    } else {
+        errors.push('scannerId must be a positive integer');
+    }
+
+    if (has(body, 'name')) {
+        const name = optionalString(body.name);
+        if (name && name.length > 255) {
+            errors.push('name must be at most 255 characters');
+        } else {
+            values.name = name;
+        }
+    }
+
+    const guestIds = Array.isArray(body.guestIds) ? body.guestIds.map(parseId) : null;
+    if (!guestIds || guestIds.length === 0 || guestIds.some(id => !id)) {
+        errors.push('guestIds must be a non-empty array of guest ids');
+    } else if (guestIds.length > MAX_BATCH_SIZE) {
+        errors.push(`guestIds must contain at most ${MAX_BATCH_SIZE} guests`);
+    } else if (new Set(guestIds).size !== guestIds.length) {
+        errors.push('guestIds must not contain a guest twice');
+    } else {
+        values.guest_ids = guestIds;
+    }
+
+    return { values, errors };
+}
+
+function validateKioskToken(body) {
+    const values = {};
+    const errors = [];
+
+    requireString(body, 'name', 'name', 255, false, values, errors);
+
+    if (parseId(body.scannerId)) {
+        values.scanner_id = parseId(body.scannerId);
+    } else {
+        errors.push('scannerId must be a positive integer');
+    }
+
+    return { values, errors };
+}
+
+module.exports = {
+    parseBoolean,
+    parseId,
+    validateOrganization,
+    validateProject,
+    validateGuest,
+    validateScanner,
+    validateUser,
+    validateZone,
+    validateAccessRule,
+    validateWebhook,
+    validateBlockedTag,
+    validateAssignmentBatch,
+    validateKioskToken
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { SIGNATURE_HEADERS, signPayload } = require('./webhook-signature');
+
+// Outbound webhooks: events the server broadcasts are queued per subscribed webhook in
+// webhook_deliveries and POSTed from there. Requests are signed with the same scheme as
+// inbound webhooks (see webhook-signature.js), so receivers can reuse that verification.
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// '*' subscribes a webhook to every event type
+const ALL_EVENTS = '*';
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+function webhookWantsEvent(events, type) {
+    return events.includes(ALL_EVENTS) || events.includes(type);
+}
+
+// Seconds to wait after failed attempt number `attempt` (1 based): base, 2x base, 4x base, ...
+function retryDelaySeconds(attempt, baseSeconds) {
+    return Math.min(baseSeconds * Math.pow(2, attempt - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Returns { headers, body } for POSTing a delivery row joined with its webhook
+function buildDeliveryRequest(delivery, now = Date.now()) {
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event_type,
+        projectId: delivery.project_id,
+        data: JSON.parse(delivery.payload)
+    });
+    const timestamp = Math.floor(now / 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SmartVisitor-Webhooks/1.0',
+            'X-SmartVisitor-Event': delivery.event_type,
+            'X-SmartVisitor-Delivery': String(delivery.id),
+            [SIGNATURE_HEADERS.keyId]: delivery.key_id,
+            [SIGNATURE_HEADERS.timestamp]: String(timestamp),
+            [SIGNATURE_HEADERS.nonce]: nonce,
+            [SIGNATURE_HEADERS.signature]: signPayload(delivery.secret, timestamp, nonce, body)
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_DELIVERY_STATUSES,
+    ALL_EVENTS,
+    webhookWantsEvent,
+    retryDelaySeconds,
+    buildDeliveryRequest
+};
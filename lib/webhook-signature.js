@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// HMAC signing for inbound webhooks (n8n, scanners). The sender computes
+//   sha256=HEX(HMAC_SHA256(secret, `${timestamp}.${nonce}.${rawBody}`))
+// and sends it with the key id, unix timestamp (seconds) and a random nonce in the
+// X-SmartVisitor-Key, -Timestamp, -Nonce and -Signature headers.
+
+const SIGNATURE_HEADERS = {
+    keyId: 'x-smartvisitor-key',
+    timestamp: 'x-smartvisitor-timestamp',
+    nonce: 'x-smartvisitor-nonce',
+    signature: 'x-smartvisitor-signature'
+};
+
+function signPayload(secret, timestamp, nonce, rawBody) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.${nonce}.`);
+    hmac.update(rawBody || '');
+    return `sha256=${hmac.digest('hex')}`;
+}
+
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(String(received));
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+function generateKeyId() {
+    return `whk_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Remembers nonces for the length of the timestamp window; a nonce seen twice
+// within the window is a replay. Entries older than the window are pruned.
+class NonceCache {
+    constructor(windowMs) {
+        this.windowMs = windowMs;
+        this.seen = new Map();
+    }
+
+    // Returns false when the nonce was already used
+    remember(nonce, now = Date.now()) {
+        for (const [key, expiresAt] of this.seen) {
+            if (expiresAt > now) {
+                break;
+            }
+            this.seen.delete(key);
+        }
+        if (this.seen.has(nonce)) {
+            return false;
+        }
+        this.seen.set(nonce, now + this.windowMs);
+        return true;
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADERS,
+    signPayload,
+    signaturesMatch,
+    generateKeyId,
+    generateSecret,
+    NonceCache
+};
@@ -1,6 +1,4 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
-const sqlite3 = require('sqlite3').verbose();
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
@@ -9,6 +7,47 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const fs = require('fs').promises;
+const { initializeDatabase } = require('./db');
+const {
+    parseBoolean,
+    parseId,
+    validateOrganization,
+    validateProject,
+    validateGuest,
+    validateScanner,
+    validateUser,
+    validateZone,
+    validateAccessRule,
+    validateWebhook,
+    validateBlockedTag,
+    validateAssignmentBatch,
+    validateKioskToken
+} = require('./lib/validation');
+const { CANDIDATE_DELIMITERS, detectDelimiter, parseCsv } = require('./lib/csv');
+const { buildGuestImport, summarizeImport } = require('./lib/guest-import');
+const ExportWriter = require('./lib/export');
+const ScanDebouncer = require('./lib/scan-debounce');
+const Subscriptions = require('./lib/subscriptions');
+const EventLog = require('./lib/event-log');
+const { SCANNER_DIRECTIONS, evaluateAccess } = require('./lib/access');
+const {
+    WEBHOOK_DELIVERY_STATUSES,
+    webhookWantsEvent,
+    retryDelaySeconds,
+    buildDeliveryRequest
+} = require('./lib/webhook-outbox');
+const { isPlatformUser, canAccessOrganization, OrganizationIndex } = require('./lib/tenancy');
+const { auditSnapshot } = require('./lib/audit');
+const { encodeCursor, decodeCursor, keysetCondition } = require('./lib/pagination');
+const { hasRole, hashPassword, verifyPassword, generateToken, hashToken, extractToken } = require('./lib/auth');
+const {
+    SIGNATURE_HEADERS,
+    signPayload,
+    signaturesMatch,
+    generateKeyId,
+    generateSecret,
+    NonceCache
+} = require('./lib/webhook-signature');
 
 // Environment configuration
 const config = {
@@ -24,19 +63,45 @@ const config = {
         timeout: 60000,
         reconnect: true
     },
+    sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, 'smartvisitor.db'),
     logLevel: process.env.LOG_LEVEL || 'info',
     wsHeartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
-    apiRateLimit: parseInt(process.env.API_RATE_LIMIT) || 100
+    // Broadcast events kept for clients that resume after a reconnect
+    wsEventLogSize: parseInt(process.env.WS_EVENT_LOG_SIZE) || 1000,
+    apiRateLimit: parseInt(process.env.API_RATE_LIMIT) || 100,
+    sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 12,
+    // Comma separated origins allowed to call the API cross-origin; none by default
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    // Initial admin account, created on startup when no users exist yet
+    adminUsername: process.env.ADMIN_USERNAME,
+    adminPassword: process.env.ADMIN_PASSWORD,
+    // HMAC signed /api/tag-scan calls; only disable for local testing
+    webhookSignatureRequired: process.env.WEBHOOK_SIGNATURE_REQUIRED !== 'false',
+    webhookTimestampWindow: parseInt(process.env.WEBHOOK_TIMESTAMP_WINDOW) || 300,
+    webhookRotationGraceHours: parseInt(process.env.WEBHOOK_ROTATION_GRACE_HOURS) || 24,
+    // Seconds without heartbeat or scan before a scanner is reported offline
+    scannerOfflineAfter: parseInt(process.env.SCANNER_OFFLINE_AFTER) || 120,
+    scannerMonitorInterval: parseInt(process.env.SCANNER_MONITOR_INTERVAL) || 30000,
+    // Seconds a pending tag assignment waits for a scan before it expires
+    pendingAssignmentTtl: parseInt(process.env.PENDING_ASSIGNMENT_TTL) || 300,
+    pendingAssignmentSweepInterval: parseInt(process.env.PENDING_ASSIGNMENT_SWEEP_INTERVAL) || 15000,
+    // Window (ms) in which repeated reads of a tag on one scanner count as one scan; scanners can override it
+    scanDebounceMs: process.env.SCAN_DEBOUNCE_MS !== undefined ? parseInt(process.env.SCAN_DEBOUNCE_MS) : 2000,
+    // Outbound webhooks: poll interval (ms), attempts before a delivery fails, first retry delay (s) and request timeout (ms)
+    webhookDispatchInterval: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL) || 5000,
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    webhookRetryBase: parseInt(process.env.WEBHOOK_RETRY_BASE) || 30,
+    webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    // Seconds after a VIP arrival alert in which further scans of that guest raise no new alert
+    vipAlertCooldown: process.env.VIP_ALERT_COOLDOWN !== undefined ? parseInt(process.env.VIP_ALERT_COOLDOWN) : 3600
 };
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
 
-// Database connection pool
-let dbPool;
-let sqliteDb;
-let usingSqlite = false;
+// Database adapter (MySQL, or SQLite when MySQL is unreachable)
+let db;
 
 // WebSocket server
 const wss = new WebSocket.Server({ server });
@@ -77,158 +142,6 @@ function log(level, message, data = null) {
     }
 }
 
-// Database initialization
-async function initializeDatabase() {
-    try {
-        // Try MySQL first
-        dbPool = mysql.createPool(config.db);
-
-        // Test connection
-        const connection = await dbPool.getConnection();
-        await connection.ping();
-        connection.release();
-
-        log('info', 'MySQL database connection established');
-
-        // Create pending_tag_assignments table if it doesn't exist
-        await createPendingTagAssignmentsTable();
-
-        return true;
-    } catch (error) {
-        log('warning', 'MySQL connection failed, falling back to SQLite', error.message);
-
-        // Fallback to SQLite
-        try {
-            await initializeSqlite();
-            usingSqlite = true;
-            log('info', 'SQLite database initialized successfully');
-            return true;
-        } catch (sqliteError) {
-            log('error', 'SQLite initialization failed', sqliteError.message);
-            throw sqliteError;
-        }
-    }
-}
-
-// SQLite initialization
-async function initializeSqlite() {
-    return new Promise((resolve, reject) => {
-        const dbPath = path.join(__dirname, 'smartvisitor.db');
-        sqliteDb = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-
-            log('info', `SQLite database created at ${dbPath}`);
-
-            // Create tables
-            const createTables = `
-                CREATE TABLE IF NOT EXISTS projects (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    description TEXT,
-                    organization_id INTEGER,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
-
-                CREATE TABLE IF NOT EXISTS guests (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER NOT NULL,
-                    name TEXT NOT NULL,
-                    email TEXT,
-                    phone TEXT,
-                    vip BOOLEAN DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (project_id) REFERENCES projects(id)
-                );
-
-                CREATE TABLE IF NOT EXISTS scanners (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    mac_address TEXT NOT NULL UNIQUE,
-                    location TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    last_heartbeat DATETIME
-                );
-
-                CREATE TABLE IF NOT EXISTS tag_assignments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER NOT NULL,
-                    guest_id INTEGER NOT NULL,
-                    tag_id TEXT NOT NULL,
-                    assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (project_id) REFERENCES projects(id),
-                    FOREIGN KEY (guest_id) REFERENCES guests(id),
-                    UNIQUE(project_id, guest_id),
-                    UNIQUE(project_id, tag_id)
-                );
-
-                CREATE TABLE IF NOT EXISTS pending_tag_assignments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER NOT NULL,
-                    guest_id INTEGER NOT NULL,
-                    scanner_id INTEGER,
-                    tag_id TEXT,
-                    status TEXT DEFAULT 'waiting',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (project_id) REFERENCES projects(id),
-                    FOREIGN KEY (guest_id) REFERENCES guests(id),
-                    FOREIGN KEY (scanner_id) REFERENCES scanners(id)
-                );
-
-                -- Insert sample data
-                INSERT OR IGNORE INTO projects (id, name, description) VALUES (1, 'Test Event', 'Test event for SmartVisitor system');
-                INSERT OR IGNORE INTO guests (id, project_id, name, email, vip) VALUES (1, 1, 'Willem van Leunen', 'willem@example.com', 1);
-                INSERT OR IGNORE INTO scanners (id, name, mac_address, location) VALUES (1, 'VIP Ingang Scanner', 'F0:F5:BD:54:36:A8', 'VIP Entrance');
-            `;
-
-            sqliteDb.exec(createTables, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve();
-            });
-        });
-    });
-}
-
-async function createPendingTagAssignmentsTable() {
-    const createTableSQL = `
-        CREATE TABLE IF NOT EXISTS pending_tag_assignments (
-            id BIGINT PRIMARY KEY AUTO_INCREMENT,
-            project_id BIGINT NOT NULL,
-            guest_id BIGINT NOT NULL,
-            scanner_id BIGINT NOT NULL,
-            status ENUM('waiting', 'completed', 'cancelled') NOT NULL DEFAULT 'waiting',
-            created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
-            completed_at DATETIME(6) NULL,
-            tag_id VARCHAR(255) NULL,
-            
-            FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
-            FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
-            FOREIGN KEY (scanner_id) REFERENCES scanners(id) ON DELETE CASCADE,
-            
-            INDEX idx_status_created (status, created_at),
-            INDEX idx_project_guest (project_id, guest_id),
-            INDEX idx_scanner_status (scanner_id, status)
-        )
-    `;
-    
-    try {
-        await dbPool.execute(createTableSQL);
-        log('info', 'pending_tag_assignments table ready');
-    } catch (error) {
-        log('error', 'Failed to create pending_tag_assignments table', error.message);
-        throw error;
-    }
-}
-
 // Middleware setup
 app.use(helmet({
     contentSecurityPolicy: {
@@ -243,8 +156,14 @@ app.use(helmet({
 }));
 
 app.use(compression());
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({ origin: config.corsOrigins.length > 0 ? config.corsOrigins : false }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -267,55 +186,331 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        database: dbPool ? 'connected' : 'disconnected'
+        database: db ? db.dialect : 'disconnected'
     });
 });
 
+// Authentication
+// Routes below /api require a session token (Authorization: Bearer <token>) except
+// login and the scan/heartbeat webhooks (HMAC signed instead, see verifyWebhookSignature);
+// requireRole() enforces the minimum role per route. /api/kiosk/* takes a kiosk token
+// instead, which is good for nothing else.
+const PUBLIC_API_PATHS = ['/auth/login', '/tag-scan', '/scanners/heartbeat'];
+const KIOSK_API_PREFIX = '/kiosk/';
+
+// Look up the active user for a session token
+async function findSessionUser(token) {
+    if (!token) {
+        return null;
+    }
+    const rows = await db.query(`
+        SELECT u.id, u.username, u.name, u.role, u.organization_id, s.id as session_id
+        FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.token_hash = ? AND s.expires_at > ${db.now()} AND u.active = 1
+    `, [hashToken(token)]);
+    return rows[0] || null;
+}
+
+// Look up the active kiosk for a kiosk token, with the project and scanner it serves
+async function findKiosk(token) {
+    if (!token) {
+        return null;
+    }
+    const rows = await db.query(`
+        SELECT kt.id, kt.name, kt.project_id, kt.scanner_id, p.name as project_name,
+            s.name as scanner_name, s.location as scanner_location
+        FROM kiosk_tokens kt
+        JOIN projects p ON kt.project_id = p.id
+        JOIN scanners s ON kt.scanner_id = s.id
+        WHERE kt.token_hash = ? AND kt.active = 1
+    `, [hashToken(token)]);
+    if (rows.length === 0) {
+        return null;
+    }
+    await db.execute(`UPDATE kiosk_tokens SET last_used_at = ${db.now()} WHERE id = ?`, [rows[0].id]);
+    return rows[0];
+}
+
+async function authenticate(req, res, next) {
+    if (PUBLIC_API_PATHS.includes(req.path)) {
+        return next();
+    }
+    try {
+        // Express routes ignore case, so /api/Kiosk/... must not slip past as a session request
+        if (req.path.toLowerCase().startsWith(KIOSK_API_PREFIX)) {
+            const kiosk = await findKiosk(extractToken(req));
+            if (!kiosk) {
+                return res.status(401).json({ error: 'Kiosk token required' });
+            }
+            req.kiosk = kiosk;
+            return next();
+        }
+
+        const user = await findSessionUser(extractToken(req));
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        log('error', 'Failed to authenticate request', error.message);
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `Requires ${role} role` });
+        }
+        next();
+    };
+}
+
+// Kiosk routes only run for a request authenticated with a kiosk token
+function requireKiosk(req, res, next) {
+    if (!req.kiosk) {
+        return res.status(401).json({ error: 'Kiosk token required' });
+    }
+    next();
+}
+
+app.use('/api', authenticate);
+
+// Organization scoping, see lib/tenancy.js. Queries returning the organization that owns
+// the row with the given id, per resource:
+const ORGANIZATION_OWNERS = {
+    organization: 'SELECT id as organization_id FROM organizations WHERE id = ?',
+    project: 'SELECT organization_id FROM projects WHERE id = ?',
+    scanner: 'SELECT organization_id FROM scanners WHERE id = ?',
+    user: 'SELECT organization_id FROM users WHERE id = ?',
+    guest: 'SELECT p.organization_id FROM guests g JOIN projects p ON g.project_id = p.id WHERE g.id = ?',
+    zone: 'SELECT p.organization_id FROM zones z JOIN projects p ON z.project_id = p.id WHERE z.id = ?',
+    assignment: 'SELECT p.organization_id FROM pending_tag_assignments pta JOIN projects p ON pta.project_id = p.id WHERE pta.id = ?',
+    vipAlert: 'SELECT p.organization_id FROM vip_alerts va JOIN projects p ON va.project_id = p.id WHERE va.id = ?',
+    blockedTag: 'SELECT p.organization_id FROM blocked_tags bt JOIN projects p ON bt.project_id = p.id WHERE bt.id = ?',
+    assignmentBatch: 'SELECT p.organization_id FROM assignment_batches b JOIN projects p ON b.project_id = p.id WHERE b.id = ?',
+    kioskToken: 'SELECT p.organization_id FROM kiosk_tokens kt JOIN projects p ON kt.project_id = p.id WHERE kt.id = ?',
+    webhook: 'SELECT p.organization_id FROM outbound_webhooks w JOIN projects p ON w.project_id = p.id WHERE w.id = ?',
+    webhookDelivery: `SELECT p.organization_id FROM webhook_deliveries d
+        JOIN outbound_webhooks w ON d.webhook_id = w.id
+        JOIN projects p ON w.project_id = p.id
+        WHERE d.id = ?`,
+    // Keys not bound to a scanner can sign scans for every organization
+    webhookKey: 'SELECT s.organization_id FROM webhook_keys wk LEFT JOIN scanners s ON wk.scanner_id = s.id WHERE wk.id = ?'
+};
+
+// Reject access to a row of another organization with 403. The id is a route parameter or,
+// given a function, read from the request (e.g. a body field); a missing id or row is left
+// to the route, which answers 400/404 as before.
+function requireOrganizationAccess(resource, id = 'id') {
+    return async (req, res, next) => {
+        if (isPlatformUser(req.user)) {
+            return next();
+        }
+        const value = typeof id === 'function' ? id(req) : req.params[id];
+        if (value === undefined || value === null || value === '') {
+            return next();
+        }
+        try {
+            const rows = await db.query(ORGANIZATION_OWNERS[resource], [value]);
+            if (rows.length > 0 && !canAccessOrganization(req.user, rows[0].organization_id)) {
+                return res.status(403).json({ error: `Access denied: ${resource} belongs to another organization` });
+            }
+            next();
+        } catch (error) {
+            log('error', 'Failed to check organization access', error.message);
+            res.status(500).json({ error: 'Failed to check organization access' });
+        }
+    };
+}
+
+// Managing organizations themselves is up to users without organization
+function requirePlatformUser(req, res, next) {
+    if (!isPlatformUser(req.user)) {
+        return res.status(403).json({ error: 'Requires a user without organization' });
+    }
+    next();
+}
+
+// Limit a list query to the caller's organization; platform users see everything
+function scopeToOrganization(req, column, conditions, params) {
+    if (!isPlatformUser(req.user)) {
+        conditions.push(`${column} = ?`);
+        params.push(req.user.organization_id);
+    }
+}
+
+// Users of an organization create rows in it and can not move rows to another one;
+// platform users may assign any existing organization. Returns { status, error } on failure.
+async function checkOrganizationAssignment(req, values, partial) {
+    if (!isPlatformUser(req.user)) {
+        if (values.organization_id !== undefined && values.organization_id !== req.user.organization_id) {
+            return { status: 403, error: 'Cannot assign another organization' };
+        }
+        if (!partial) {
+            values.organization_id = req.user.organization_id;
+        }
+        return null;
+    }
+    if (values.organization_id && !(await findById('organizations', values.organization_id))) {
+        return { status: 404, error: 'Organization not found' };
+    }
+    return null;
+}
+
+// Webhook signature verification
+// Inbound webhooks (n8n, scanners) sign each request with a shared secret; see
+// lib/webhook-signature.js for the scheme. Keys are per integration or per scanner.
+const webhookNonces = new NonceCache(config.webhookTimestampWindow * 2 * 1000);
+
+function rejectWebhook(req, res, reason, message) {
+    log('warn', `Rejected webhook ${req.path} from ${req.ip}: ${reason}`);
+    res.status(401).json({ error: 'Invalid webhook signature', reason, message });
+}
+
+async function verifyWebhookSignature(req, res, next) {
+    if (!config.webhookSignatureRequired) {
+        return next();
+    }
+
+    try {
+        const keyId = req.get(SIGNATURE_HEADERS.keyId);
+        const timestamp = req.get(SIGNATURE_HEADERS.timestamp);
+        const nonce = req.get(SIGNATURE_HEADERS.nonce);
+        const signature = req.get(SIGNATURE_HEADERS.signature);
+
+        if (!keyId || !timestamp || !nonce || !signature) {
+            return rejectWebhook(req, res, 'missing_headers',
+                'Send X-SmartVisitor-Key, X-SmartVisitor-Timestamp, X-SmartVisitor-Nonce and X-SmartVisitor-Signature');
+        }
+
+        const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+        if (!Number.isFinite(age) || age > config.webhookTimestampWindow) {
+            return rejectWebhook(req, res, 'timestamp_out_of_window',
+                `Timestamp must be unix seconds within ${config.webhookTimestampWindow}s of server time`);
+        }
+
+        const keyRows = await db.query(`
+            SELECT wk.*, s.mac_address as scanner_mac
+            FROM webhook_keys wk
+            LEFT JOIN scanners s ON wk.scanner_id = s.id
+            WHERE wk.key_id = ? AND wk.active = 1 AND (wk.expires_at IS NULL OR wk.expires_at > ${db.now()})
+        `, [keyId]);
+        const key = keyRows[0];
+
+        if (!key) {
+            return rejectWebhook(req, res, 'unknown_key', 'Webhook key is unknown, revoked or expired');
+        }
+
+        if (!signaturesMatch(signPayload(key.secret, timestamp, nonce, req.rawBody), signature)) {
+            return rejectWebhook(req, res, 'bad_signature', 'Signature does not match the request body');
+        }
+
+        if (key.scanner_id && String(req.body.scanner_mac || '').toUpperCase() !== key.scanner_mac.toUpperCase()) {
+            return rejectWebhook(req, res, 'scanner_mismatch', 'This key is bound to a different scanner');
+        }
+
+        // Only remember nonces of correctly signed requests, so forged requests cannot burn them
+        if (!webhookNonces.remember(`${keyId}:${nonce}`)) {
+            return rejectWebhook(req, res, 'replayed_nonce', 'Nonce was already used');
+        }
+
+        await db.execute(`UPDATE webhook_keys SET last_used_at = ${db.now()} WHERE id = ?`, [key.id]);
+
+        req.webhookKey = key;
+        next();
+    } catch (error) {
+        log('error', 'Failed to verify webhook signature', error.message);
+        res.status(500).json({ error: 'Failed to verify webhook signature' });
+    }
+}
+
 // WebSocket connection handling
 const connectedClients = new Set();
+const eventLog = new EventLog(config.wsEventLogSize);
+const organizationIndex = new OrganizationIndex();
 
-wss.on('connection', (ws, req) => {
+wss.on('connection', async (ws, req) => {
     const clientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     ws.clientId = clientId;
-    connectedClients.add(ws);
-    
-    log('info', `WebSocket client connected: ${clientId}`);
-    
-    // Send welcome message
-    ws.send(JSON.stringify({
-        type: 'connection',
-        message: 'Connected to SmartVisitor Admin',
-        clientId: clientId,
-        timestamp: new Date().toISOString()
-    }));
-    
-    // Handle client messages
-    ws.on('message', async (message) => {
-        try {
-            const data = JSON.parse(message);
-            await handleWebSocketMessage(ws, data);
-        } catch (error) {
-            log('error', 'WebSocket message error', error.message);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Invalid message format'
-            }));
+
+    // Messages sent while the client is still being authenticated wait here, in order
+    let pending = [];
+    ws.on('message', (message) => {
+        if (pending) {
+            pending.push(message);
+            return;
         }
+        handleClientMessage(ws, message);
     });
-    
+
     // Handle client disconnect
     ws.on('close', () => {
         connectedClients.delete(ws);
         log('info', `WebSocket client disconnected: ${clientId}`);
     });
-    
+
     // Handle errors
     ws.on('error', (error) => {
         log('error', `WebSocket error for client ${clientId}`, error.message);
         connectedClients.delete(ws);
     });
+
+    // Authenticate the upgrade with ?token=<session token> before accepting any traffic
+    try {
+        const token = extractToken(req, true);
+        ws.user = await findSessionUser(token);
+        ws.tokenHash = token ? hashToken(token) : null;
+    } catch (error) {
+        log('error', 'Failed to authenticate WebSocket client', error.message);
+    }
+
+    if (!ws.user) {
+        log('warn', `WebSocket connection rejected: ${clientId}`);
+        ws.close(4401, 'Authentication required');
+        return;
+    }
+    if (ws.readyState !== WebSocket.OPEN) {
+        return;
+    }
+
+    connectedClients.add(ws);
+    
+    log('info', `WebSocket client connected: ${clientId} (${ws.user.username})`);
+    
+    // Send welcome message
+    ws.send(JSON.stringify({
+        type: 'connection',
+        message: 'Connected to SmartVisitor Admin',
+        clientId: clientId,
+        epoch: eventLog.epoch,
+        seq: eventLog.lastSeq,
+        timestamp: new Date().toISOString()
+    }));
+
+    // Handle what the client sent during authentication, then take messages as they come
+    while (pending.length > 0) {
+        await handleClientMessage(ws, pending.shift());
+    }
+    pending = null;
 });
 
+// Handle a raw client message
+async function handleClientMessage(ws, message) {
+    try {
+        const data = JSON.parse(message);
+        await handleWebSocketMessage(ws, data);
+    } catch (error) {
+        log('error', 'WebSocket message error', error.message);
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Invalid message format'
+        }));
+    }
+}
+
 // WebSocket message handler
 async function handleWebSocketMessage(ws, data) {
     switch (data.type) {
@@ -327,48 +522,233 @@ async function handleWebSocketMessage(ws, data) {
             break;
             
         case 'subscribe':
-            // Handle subscription to specific events
-            ws.subscriptions = ws.subscriptions || new Set();
-            if (data.events) {
-                data.events.forEach(event => ws.subscriptions.add(event));
+        case 'unsubscribe': {
+            // { events?, projectId?, scannerId?, requestId? }; unsubscribe with all: true drops everything
+            const { filter, events, errors } = Subscriptions.parse(data);
+            if (errors.length > 0) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    requestId: data.requestId,
+                    message: 'Invalid subscription',
+                    details: errors
+                }));
+                break;
             }
+
+            ws.subscriptions = ws.subscriptions || new Subscriptions();
+            if (data.type === 'subscribe') {
+                ws.subscriptions.subscribe(filter, events);
+            } else if (data.all) {
+                ws.subscriptions.clear();
+            } else {
+                ws.subscriptions.unsubscribe(filter, events);
+            }
+
+            ws.send(JSON.stringify({
+                type: data.type === 'subscribe' ? 'subscribed' : 'unsubscribed',
+                requestId: data.requestId,
+                subscriptions: ws.subscriptions.list()
+            }));
             break;
-            
+        }
+
+        case 'resume': {
+            // { epoch, lastSeq, requestId? } from a client that reconnected; replays the
+            // missed events that match its subscriptions, or asks it to reload everything
+            const missed = eventLog.since(data.epoch, Number(data.lastSeq));
+            if (missed.resync) {
+                ws.send(JSON.stringify({
+                    type: 'resync_required',
+                    requestId: data.requestId,
+                    reason: missed.resync,
+                    epoch: eventLog.epoch,
+                    seq: eventLog.lastSeq
+                }));
+                break;
+            }
+
+            let replayed = 0;
+            missed.events.forEach(entry => {
+                if (clientWantsEvent(ws, entry.message.type, entry.scope)) {
+                    ws.send(JSON.stringify({ ...entry.message, replayed: true }));
+                    replayed++;
+                }
+            });
+
+            ws.send(JSON.stringify({
+                type: 'resumed',
+                requestId: data.requestId,
+                epoch: eventLog.epoch,
+                seq: eventLog.lastSeq,
+                replayed
+            }));
+            break;
+        }
+
+
         default:
             log('warn', `Unknown WebSocket message type: ${data.type}`);
     }
 }
 
-// Broadcast to all connected clients
-function broadcastToClients(message) {
-    const messageStr = JSON.stringify(message);
+// Clients only receive events of their own organization. Within it, clients that never
+// subscribed receive every event; users listed in scope.userIds (e.g. the hosts of a VIP)
+// receive it regardless of their subscriptions.
+function clientWantsEvent(client, type, scope) {
+    if (!canAccessOrganization(client.user, organizationIndex.resolve(scope))) {
+        return false;
+    }
+    if (!client.subscriptions || client.subscriptions.matches(type, scope)) {
+        return true;
+    }
+    return Boolean(scope.userIds && client.user && scope.userIds.includes(client.user.id));
+}
+
+// Broadcast an event to the clients whose subscriptions match it. scope names the project
+// and scanner the event belongs to.
+// Every event gets a sequence number (seq) and is kept in the event log for resuming clients.
+// Events go out through publishEvent, which also queues them for the outbound webhooks.
+function broadcastToClients(message, scope = {}) {
+    const entry = eventLog.append(message, scope);
+    const messageStr = JSON.stringify(entry.message);
     connectedClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
+        if (client.readyState === WebSocket.OPEN && clientWantsEvent(client, message.type, scope)) {
             client.send(messageStr);
         }
     });
 }
 
-// Broadcast to subscribed clients
-function broadcastToSubscribers(eventType, message) {
-    const messageStr = JSON.stringify({ ...message, type: eventType });
-    connectedClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && 
-            client.subscriptions && 
-            client.subscriptions.has(eventType)) {
-            client.send(messageStr);
+// Publish an event: queue it in the webhook outbox with the executor, so inside a
+// transaction the deliveries commit (or roll back) with the change they announce, and
+// broadcast it to the WebSocket clients once that transaction has committed.
+async function publishEvent(executor, message, scope = {}) {
+    const queued = await queueWebhookDeliveries(executor, message, scope);
+    executor.afterCommit(() => {
+        broadcastToClients(message, scope);
+        if (queued > 0) {
+            setImmediate(dispatchWebhooks);
         }
     });
 }
 
+// Queue an event for the outbound webhooks subscribed to it and return the number of
+// deliveries. Events without a project (e.g. scanner_status) go to the projects the
+// scanner is linked to.
+async function queueWebhookDeliveries(executor, message, scope) {
+    let projectIds = scope.projectId ? [Number(scope.projectId)] : [];
+    if (projectIds.length === 0 && scope.scannerId) {
+        const links = await executor.query('SELECT project_id FROM project_scanners WHERE scanner_id = ?', [scope.scannerId]);
+        projectIds = links.map(link => link.project_id);
+    }
+    if (projectIds.length === 0) {
+        return 0;
+    }
+
+    const webhooks = await executor.query(
+        `SELECT id, events FROM outbound_webhooks WHERE active = 1 AND project_id IN (${projectIds.map(() => '?').join(', ')})`,
+        projectIds
+    );
+    const subscribed = webhooks.filter(webhook => webhookWantsEvent(JSON.parse(webhook.events), message.type));
+
+    for (const webhook of subscribed) {
+        await executor.insert('webhook_deliveries', {
+            webhook_id: webhook.id,
+            event_type: message.type,
+            payload: JSON.stringify(message)
+        });
+    }
+    return subscribed.length;
+}
+
+// POST due deliveries; a failed attempt is retried with exponential backoff until
+// WEBHOOK_MAX_ATTEMPTS is reached, after which the delivery is marked failed
+let webhookDispatchRunning = false;
+
+async function dispatchWebhooks() {
+    if (webhookDispatchRunning) {
+        return;
+    }
+    webhookDispatchRunning = true;
+
+    try {
+        const deliveries = await db.query(`
+            SELECT d.*, w.project_id, w.url, w.key_id, w.secret
+            FROM webhook_deliveries d
+            JOIN outbound_webhooks w ON d.webhook_id = w.id
+            WHERE d.status = 'pending' AND w.active = 1 AND d.next_attempt_at <= ?
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT 50
+        `, [db.toDbDate(new Date())]);
+
+        for (const delivery of deliveries) {
+            await deliverWebhook(delivery);
+        }
+    } catch (error) {
+        log('error', 'Webhook dispatch failed', error.message);
+    } finally {
+        webhookDispatchRunning = false;
+    }
+}
+
+async function deliverWebhook(delivery) {
+    const { headers, body } = buildDeliveryRequest(delivery);
+    let responseStatus = null;
+    let failure = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(config.webhookTimeout)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            failure = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        failure = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const values = {
+        attempts,
+        response_status: responseStatus,
+        last_error: failure ? failure.substring(0, 500) : null,
+        last_attempt_at: db.toDbDate(new Date())
+    };
+
+    if (!failure) {
+        values.status = 'delivered';
+        values.delivered_at = values.last_attempt_at;
+    } else if (attempts >= config.webhookMaxAttempts) {
+        values.status = 'failed';
+        log('warn', `Webhook delivery ${delivery.id} to ${delivery.url} failed after ${attempts} attempts: ${failure}`);
+    } else {
+        values.next_attempt_at = db.toDbDate(new Date(Date.now() + retryDelaySeconds(attempts, config.webhookRetryBase) * 1000));
+    }
+
+    const columns = Object.keys(values);
+    await db.execute(
+        `UPDATE webhook_deliveries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => values[column]), delivery.id]
+    );
+}
+
 // API Routes
 
 // Get all projects
-app.get('/api/projects', async (req, res) => {
+app.get('/api/projects', requireRole('viewer'), async (req, res) => {
     try {
-        const [rows] = await dbPool.execute(
-            'SELECT * FROM projects ORDER BY created_at DESC'
-        );
+        const conditions = [];
+        const params = [];
+        scopeToOrganization(req, 'organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT * FROM projects
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+        `, params);
         res.json(rows);
     } catch (error) {
         log('error', 'Failed to fetch projects', error.message);
@@ -377,12 +757,12 @@ app.get('/api/projects', async (req, res) => {
 });
 
 // Get project details with guests and scanners
-app.get('/api/projects/:id', async (req, res) => {
+app.get('/api/projects/:id', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
     try {
         const projectId = req.params.id;
         
         // Get project details
-        const [projectRows] = await dbPool.execute(
+        const projectRows = await db.query(
             'SELECT * FROM projects WHERE id = ?',
             [projectId]
         );
@@ -392,7 +772,7 @@ app.get('/api/projects/:id', async (req, res) => {
         }
         
         // Get guests for this project
-        const [guestRows] = await dbPool.execute(`
+        const guestRows = await db.query(`
             SELECT g.*, ta.tag_id, ta.assigned_at
             FROM guests g
             LEFT JOIN tag_assignments ta ON g.id = ta.guest_id AND ta.project_id = ?
@@ -401,7 +781,7 @@ app.get('/api/projects/:id', async (req, res) => {
         `, [projectId, projectId]);
         
         // Get scanners for this project
-        const [scannerRows] = await dbPool.execute(`
+        const scannerRows = await db.query(`
             SELECT s.*, ps.assigned_at as project_assigned_at
             FROM scanners s
             INNER JOIN project_scanners ps ON s.id = ps.scanner_id
@@ -415,328 +795,4658 @@ app.get('/api/projects/:id', async (req, res) => {
             scanners: scannerRows
         });
     } catch (error) {
-        log('error', 'Failed to fetch project details', error.message);
-        res.status(500).json({ error: 'Failed to fetch project details' });
+        log('error', 'Failed to fetch project details', error.message);
+        res.status(500).json({ error: 'Failed to fetch project details' });
+    }
+});
+
+// Update the given columns of a row by id, bumping updated_at (SQLite has no ON UPDATE)
+async function updateRow(executor, table, id, values) {
+    const columns = Object.keys(values);
+    return executor.execute(`
+        UPDATE ${table}
+        SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ${executor.now()}
+        WHERE id = ?
+    `, [...columns.map(column => values[column]), id]);
+}
+
+// Pass the transaction as executor inside one (SQLite: db would wait for its lock)
+async function findById(table, id, executor = db) {
+    const rows = await executor.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    return rows[0] || null;
+}
+
+// LIKE pattern matching value anywhere, with ! escaping the wildcards (ESCAPE '!')
+function containsPattern(value) {
+    return `%${value.replace(/[!%_]/g, character => `!${character}`)}%`;
+}
+
+// LIKE pattern matching values that start with value, so an index on the column can be used
+function prefixPattern(value) {
+    return `${value.replace(/[!%_]/g, character => `!${character}`)}%`;
+}
+
+// Record an administrative action of req.user in audit_events, see lib/audit.js. Pass the
+// transaction as executor when the change runs in one, so both commit together.
+// entry: { action, entityType, entityId, projectId, scannerId, organizationId, before, after };
+// without organizationId the organization of the project or scanner is used, else the actor's
+async function recordAudit(executor, req, entry) {
+    // Kiosks act without user and are recorded as kiosk:<kiosk token id>
+    const actor = req.user || { id: null, username: `kiosk:${req.kiosk.id}`, organization_id: null };
+
+    let organizationId = entry.organizationId;
+    if (organizationId === undefined) {
+        organizationId = entry.projectId || entry.scannerId
+            ? organizationIndex.resolve({ projectId: entry.projectId, scannerId: entry.scannerId })
+            : actor.organization_id;
+    }
+
+    await executor.insert('audit_events', {
+        organization_id: organizationId === undefined ? null : organizationId,
+        project_id: entry.projectId || null,
+        actor_user_id: actor.id,
+        actor_username: actor.username,
+        action: entry.action,
+        entity_type: entry.entityType,
+        entity_id: entry.entityId || null,
+        before_values: auditSnapshot(entry.before),
+        after_values: auditSnapshot(entry.after),
+        ip_address: req.ip
+    });
+}
+
+// Failed logins per ip + username, to slow down password guessing
+const loginFailures = new Map();
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        organization_id: user.organization_id,
+        active: user.active === undefined ? undefined : Boolean(user.active),
+        last_login_at: user.last_login_at,
+        created_at: user.created_at
+    };
+}
+
+// Log in and receive a session token
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Missing required fields: username, password' });
+        }
+
+        const failureKey = `${req.ip}|${String(username).toLowerCase()}`;
+        const failures = loginFailures.get(failureKey);
+        if (failures && Date.now() - failures.since > LOGIN_FAILURE_WINDOW) {
+            loginFailures.delete(failureKey);
+        } else if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+            return res.status(429).json({ error: 'Too many failed logins, try again later' });
+        }
+
+        const rows = await db.query(
+            'SELECT * FROM users WHERE username = ? AND active = 1',
+            [String(username).toLowerCase()]
+        );
+        const user = rows[0];
+
+        if (!user || !(await verifyPassword(String(password), user.password_hash))) {
+            const entry = loginFailures.get(failureKey) || { count: 0, since: Date.now() };
+            entry.count++;
+            loginFailures.set(failureKey, entry);
+            log('warn', `Failed login for ${username} from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        loginFailures.delete(failureKey);
+
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + config.sessionTtlHours * 60 * 60 * 1000);
+
+        await db.execute(`DELETE FROM sessions WHERE expires_at < ${db.now()}`);
+        await db.insert('sessions', {
+            user_id: user.id,
+            token_hash: hashToken(token),
+            expires_at: db.toDbDate(expiresAt)
+        });
+        await db.execute(`UPDATE users SET last_login_at = ${db.now()} WHERE id = ?`, [user.id]);
+
+        log('info', `User ${user.username} logged in`);
+
+        res.json({
+            token,
+            expiresAt: expiresAt.toISOString(),
+            user: publicUser(user)
+        });
+    } catch (error) {
+        log('error', 'Failed to log in', error.message);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// End the current session and disconnect its WebSocket clients
+app.post('/api/auth/logout', requireRole('viewer'), async (req, res) => {
+    try {
+        const tokenHash = hashToken(extractToken(req));
+        await db.execute('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+
+        connectedClients.forEach(client => {
+            if (client.tokenHash === tokenHash) {
+                client.close(4401, 'Logged out');
+            }
+        });
+
+        log('info', `User ${req.user.username} logged out`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to log out', error.message);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Current user
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json(publicUser(req.user));
+});
+
+// List users
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        scopeToOrganization(req, 'organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT * FROM users
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY username
+        `, params);
+        res.json(rows.map(publicUser));
+    } catch (error) {
+        log('error', 'Failed to fetch users', error.message);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Create user
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { values, errors } = validateUser(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid user', details: errors });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, false);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const { password, ...columns } = values;
+        const passwordHash = await hashPassword(password);
+        const user = await db.transaction(async (tx) => {
+            const result = await tx.insert('users', { ...columns, password_hash: passwordHash });
+            const created = await findById('users', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'user.created', entityType: 'user', entityId: created.id,
+                organizationId: created.organization_id, after: created
+            });
+            return created;
+        });
+
+        log('info', `User ${user.username} created with role ${user.role} by ${req.user.username}`);
+
+        res.status(201).json(publicUser(user));
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        log('error', 'Failed to create user', error.message);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Update user (role, name, active, password)
+app.put('/api/users/:id', requireRole('admin'), requireOrganizationAccess('user'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { values, errors } = validateUser(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid user', details: errors });
+        }
+
+        const before = await findById('users', userId);
+        if (!before) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, true);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        // Admins cannot lock themselves out
+        if (userId === req.user.id && ((values.role && values.role !== 'admin') || values.active === 0 ||
+            (values.organization_id !== undefined && values.organization_id !== req.user.organization_id))) {
+            return res.status(400).json({ error: 'You cannot demote, deactivate or move your own account' });
+        }
+
+        const { password, ...columns } = values;
+        if (password) {
+            columns.password_hash = await hashPassword(password);
+        }
+
+        // Password changes, deactivation and moving to another organization end existing
+        // sessions, including open WebSocket connections (they cache the user's organization)
+        const endSessions = Boolean(password) || columns.active === 0 || columns.organization_id !== undefined;
+
+        const user = await db.transaction(async (tx) => {
+            if (Object.keys(columns).length > 0) {
+                await updateRow(tx, 'users', userId, columns);
+            }
+            if (endSessions) {
+                await tx.execute('DELETE FROM sessions WHERE user_id = ?', [userId]);
+            }
+            const updated = await findById('users', userId, tx);
+            await recordAudit(tx, req, {
+                action: 'user.updated', entityType: 'user', entityId: userId,
+                organizationId: updated.organization_id, before, after: updated
+            });
+            return updated;
+        });
+
+        if (endSessions) {
+            connectedClients.forEach(client => {
+                if (client.user.id === userId) {
+                    client.close(4401, 'Session ended');
+                }
+            });
+        }
+
+        log('info', `User ${user.username} updated by ${req.user.username}`);
+
+        res.json(publicUser(user));
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        log('error', 'Failed to update user', error.message);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Delete user
+app.delete('/api/users/:id', requireRole('admin'), requireOrganizationAccess('user'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const user = await findById('users', userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('DELETE FROM sessions WHERE user_id = ?', [userId]);
+            await tx.execute('DELETE FROM project_hosts WHERE user_id = ?', [userId]);
+            await tx.execute('UPDATE vip_alerts SET acknowledged_by = NULL WHERE acknowledged_by = ?', [userId]);
+            await tx.execute('UPDATE blocked_tags SET blocked_by = NULL WHERE blocked_by = ?', [userId]);
+            await tx.execute('UPDATE assignment_batches SET created_by = NULL WHERE created_by = ?', [userId]);
+            await tx.execute('UPDATE kiosk_tokens SET created_by = NULL WHERE created_by = ?', [userId]);
+            await tx.execute('DELETE FROM users WHERE id = ?', [userId]);
+            await recordAudit(tx, req, {
+                action: 'user.deleted', entityType: 'user', entityId: userId,
+                organizationId: user.organization_id, before: user
+            });
+        });
+
+        log('info', `User ${user.username} deleted by ${req.user.username}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete user', error.message);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+function publicWebhookKey(key) {
+    const { secret, ...rest } = key;
+    return { ...rest, active: Boolean(key.active) };
+}
+
+// Create a webhook key for signing /api/tag-scan calls. The secret is only returned here.
+async function createWebhookKey(executor, name, scannerId) {
+    const secret = generateSecret();
+    const result = await executor.insert('webhook_keys', {
+        key_id: generateKeyId(),
+        name,
+        secret,
+        scanner_id: scannerId
+    });
+    const rows = await executor.query('SELECT * FROM webhook_keys WHERE id = ?', [result.insertId]);
+    return { ...publicWebhookKey(rows[0]), secret };
+}
+
+// List webhook keys (without secrets)
+app.get('/api/webhook-keys', requireRole('admin'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        scopeToOrganization(req, 's.organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT wk.* FROM webhook_keys wk
+            LEFT JOIN scanners s ON wk.scanner_id = s.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY wk.created_at DESC
+        `, params);
+        res.json(rows.map(publicWebhookKey));
+    } catch (error) {
+        log('error', 'Failed to fetch webhook keys', error.message);
+        res.status(500).json({ error: 'Failed to fetch webhook keys' });
+    }
+});
+
+// Create webhook key for an integration, optionally bound to one scanner
+app.post('/api/webhook-keys', requireRole('admin'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const scannerId = req.body.scannerId === undefined || req.body.scannerId === null ? null : parseId(req.body.scannerId);
+
+        if (!name) {
+            return res.status(400).json({ error: 'Missing name' });
+        }
+        if (req.body.scannerId !== undefined && req.body.scannerId !== null && !scannerId) {
+            return res.status(400).json({ error: 'scannerId must be a positive integer' });
+        }
+        if (!scannerId && !isPlatformUser(req.user)) {
+            return res.status(403).json({ error: 'Keys of an organization must be bound to one of its scanners' });
+        }
+        if (scannerId && !(await findById('scanners', scannerId))) {
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        const key = await db.transaction(async (tx) => {
+            const created = await createWebhookKey(tx, name, scannerId);
+            await recordAudit(tx, req, {
+                action: 'webhook_key.created', entityType: 'webhook_key', entityId: created.id,
+                scannerId, after: created
+            });
+            return created;
+        });
+
+        log('info', `Webhook key ${key.key_id} created for ${name} by ${req.user.username}`);
+
+        res.status(201).json(key);
+    } catch (error) {
+        log('error', 'Failed to create webhook key', error.message);
+        res.status(500).json({ error: 'Failed to create webhook key' });
+    }
+});
+
+// Rotate a webhook key: issue a replacement and let the old key expire after a grace period
+app.post('/api/webhook-keys/:id/rotate', requireRole('admin'), requireOrganizationAccess('webhookKey'), async (req, res) => {
+    try {
+        const graceHours = req.body.graceHours === undefined ? config.webhookRotationGraceHours : Number(req.body.graceHours);
+        if (!Number.isFinite(graceHours) || graceHours < 0) {
+            return res.status(400).json({ error: 'graceHours must be a non-negative number' });
+        }
+
+        const oldKey = await findById('webhook_keys', req.params.id);
+        if (!oldKey || !oldKey.active) {
+            return res.status(404).json({ error: 'Webhook key not found' });
+        }
+
+        const newKey = await db.transaction(async (tx) => {
+            await tx.execute(
+                'UPDATE webhook_keys SET expires_at = ? WHERE id = ?',
+                [db.toDbDate(new Date(Date.now() + graceHours * 60 * 60 * 1000)), oldKey.id]
+            );
+            const key = await createWebhookKey(tx, oldKey.name, oldKey.scanner_id);
+            await recordAudit(tx, req, {
+                action: 'webhook_key.rotated', entityType: 'webhook_key', entityId: oldKey.id,
+                scannerId: oldKey.scanner_id, before: oldKey, after: key
+            });
+            return key;
+        });
+
+        log('info', `Webhook key ${oldKey.key_id} rotated to ${newKey.key_id} by ${req.user.username}`);
+
+        res.status(201).json(newKey);
+    } catch (error) {
+        log('error', 'Failed to rotate webhook key', error.message);
+        res.status(500).json({ error: 'Failed to rotate webhook key' });
+    }
+});
+
+// Revoke webhook key immediately
+app.delete('/api/webhook-keys/:id', requireRole('admin'), requireOrganizationAccess('webhookKey'), async (req, res) => {
+    try {
+        const revoked = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                'UPDATE webhook_keys SET active = 0 WHERE id = ? AND active = 1',
+                [req.params.id]
+            );
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            const key = await findById('webhook_keys', req.params.id, tx);
+            await recordAudit(tx, req, {
+                action: 'webhook_key.revoked', entityType: 'webhook_key', entityId: key.id,
+                scannerId: key.scanner_id, after: key
+            });
+            return true;
+        });
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Webhook key not found' });
+        }
+
+        log('info', `Webhook key ${req.params.id} revoked by ${req.user.username}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to revoke webhook key', error.message);
+        res.status(500).json({ error: 'Failed to revoke webhook key' });
+    }
+});
+
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, events: JSON.parse(webhook.events), active: Boolean(webhook.active) };
+}
+
+// List outbound webhooks of a project (without secrets)
+app.get('/api/projects/:id/webhooks', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const rows = await db.query('SELECT * FROM outbound_webhooks WHERE project_id = ? ORDER BY created_at DESC', [projectId]);
+        res.json(rows.map(publicWebhook));
+    } catch (error) {
+        log('error', 'Failed to fetch webhooks', error.message);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+// Create outbound webhook. The signing secret is only returned here.
+app.post('/api/projects/:id/webhooks', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateWebhook(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid webhook', details: errors });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const secret = generateSecret();
+        const webhook = await db.transaction(async (tx) => {
+            const result = await tx.insert('outbound_webhooks', {
+                ...values,
+                project_id: projectId,
+                key_id: generateKeyId(),
+                secret
+            });
+            const created = await findById('outbound_webhooks', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'webhook.created', entityType: 'webhook', entityId: created.id,
+                projectId: created.project_id, after: created
+            });
+            return created;
+        });
+
+        log('info', `Webhook ${webhook.id} (${webhook.name}) created in project ${projectId} by ${req.user.username}`);
+
+        res.status(201).json({ ...publicWebhook(webhook), secret });
+    } catch (error) {
+        log('error', 'Failed to create webhook', error.message);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Update outbound webhook (name, url, events, active)
+app.put('/api/webhooks/:id', requireRole('admin'), requireOrganizationAccess('webhook'), async (req, res) => {
+    try {
+        const webhookId = req.params.id;
+        const { values, errors } = validateWebhook(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid webhook', details: errors });
+        }
+
+        const before = await findById('outbound_webhooks', webhookId);
+        if (!before) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const webhook = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'outbound_webhooks', webhookId, values);
+            }
+            const updated = await findById('outbound_webhooks', webhookId, tx);
+            await recordAudit(tx, req, {
+                action: 'webhook.updated', entityType: 'webhook', entityId: updated.id,
+                projectId: updated.project_id, before, after: updated
+            });
+            return updated;
+        });
+
+        log('info', `Webhook ${webhookId} updated by ${req.user.username}`);
+
+        res.json(publicWebhook(webhook));
+    } catch (error) {
+        log('error', 'Failed to update webhook', error.message);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Delete outbound webhook with its delivery log
+app.delete('/api/webhooks/:id', requireRole('admin'), requireOrganizationAccess('webhook'), async (req, res) => {
+    try {
+        const webhookId = req.params.id;
+
+        const webhook = await findById('outbound_webhooks', webhookId);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+            await tx.execute('DELETE FROM outbound_webhooks WHERE id = ?', [webhookId]);
+            await recordAudit(tx, req, {
+                action: 'webhook.deleted', entityType: 'webhook', entityId: webhook.id,
+                projectId: webhook.project_id, before: webhook
+            });
+        });
+
+        log('info', `Webhook ${webhookId} deleted by ${req.user.username}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete webhook', error.message);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Delivery log of a webhook, newest first. Filters: status, limit (max 500)
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), requireOrganizationAccess('webhook'), async (req, res) => {
+    try {
+        const webhookId = req.params.id;
+        const { status } = req.query;
+        const limit = Math.min(parseId(req.query.limit) || 50, 500);
+
+        if (status !== undefined && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+        }
+
+        if (!(await findById('outbound_webhooks', webhookId))) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const conditions = ['webhook_id = ?'];
+        const params = [webhookId];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const rows = await db.query(`
+            SELECT * FROM webhook_deliveries
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id DESC
+            LIMIT ${limit}
+        `, params);
+
+        res.json(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+    } catch (error) {
+        log('error', 'Failed to fetch webhook deliveries', error.message);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Send a failed delivery again, starting a fresh series of attempts
+app.post('/api/webhook-deliveries/:id/retry', requireRole('admin'), requireOrganizationAccess('webhookDelivery'), async (req, res) => {
+    try {
+        const deliveryId = req.params.id;
+        const delivery = await findById('webhook_deliveries', deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const webhook = await findById('outbound_webhooks', delivery.webhook_id);
+        const requeued = await db.transaction(async (tx) => {
+            const result = await tx.execute(`
+                UPDATE webhook_deliveries
+                SET status = 'pending', attempts = 0, next_attempt_at = ?
+                WHERE id = ? AND status = 'failed'
+            `, [db.toDbDate(new Date()), deliveryId]);
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            await recordAudit(tx, req, {
+                action: 'webhook_delivery.retried', entityType: 'webhook_delivery', entityId: delivery.id,
+                projectId: webhook.project_id,
+                before: { status: delivery.status, attempts: delivery.attempts },
+                after: { status: 'pending', attempts: 0 }
+            });
+            return true;
+        });
+
+        if (!requeued) {
+            return res.status(409).json({ error: 'Only failed deliveries can be retried', status: delivery.status });
+        }
+
+        setImmediate(dispatchWebhooks);
+
+        log('info', `Webhook delivery ${deliveryId} requeued by ${req.user.username}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to retry webhook delivery', error.message);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+    }
+});
+
+// List organizations; users of an organization only see their own
+app.get('/api/organizations', requireRole('viewer'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        scopeToOrganization(req, 'id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT * FROM organizations
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY name
+        `, params);
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch organizations', error.message);
+        res.status(500).json({ error: 'Failed to fetch organizations' });
+    }
+});
+
+// Create organization
+app.post('/api/organizations', requireRole('admin'), requirePlatformUser, async (req, res) => {
+    try {
+        const { values, errors } = validateOrganization(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid organization', details: errors });
+        }
+
+        const organization = await db.transaction(async (tx) => {
+            const result = await tx.insert('organizations', values);
+            const created = await findById('organizations', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'organization.created', entityType: 'organization', entityId: created.id,
+                organizationId: created.id, after: created
+            });
+            return created;
+        });
+
+        log('info', `Organization ${organization.id} created: ${organization.name}`);
+
+        res.status(201).json(organization);
+    } catch (error) {
+        log('error', 'Failed to create organization', error.message);
+        res.status(500).json({ error: 'Failed to create organization' });
+    }
+});
+
+// Update organization
+app.put('/api/organizations/:id', requireRole('admin'), requireOrganizationAccess('organization'), async (req, res) => {
+    try {
+        const organizationId = req.params.id;
+        const { values, errors } = validateOrganization(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid organization', details: errors });
+        }
+
+        const before = await findById('organizations', organizationId);
+        if (!before) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const organization = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'organizations', organizationId, values);
+            }
+            const updated = await findById('organizations', organizationId, tx);
+            await recordAudit(tx, req, {
+                action: 'organization.updated', entityType: 'organization', entityId: updated.id,
+                organizationId: updated.id, before, after: updated
+            });
+            return updated;
+        });
+
+        log('info', `Organization ${organizationId} updated`);
+
+        res.json(organization);
+    } catch (error) {
+        log('error', 'Failed to update organization', error.message);
+        res.status(500).json({ error: 'Failed to update organization' });
+    }
+});
+
+// Delete an organization that no longer has projects, scanners or users
+app.delete('/api/organizations/:id', requireRole('admin'), requirePlatformUser, async (req, res) => {
+    try {
+        const organizationId = req.params.id;
+
+        const organization = await findById('organizations', organizationId);
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        for (const table of ['projects', 'scanners', 'users']) {
+            const rows = await db.query(`SELECT COUNT(*) as count FROM ${table} WHERE organization_id = ?`, [organizationId]);
+            if (rows[0].count > 0) {
+                return res.status(409).json({ error: `Organization still has ${table}`, count: rows[0].count });
+            }
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('DELETE FROM organizations WHERE id = ?', [organizationId]);
+            await recordAudit(tx, req, {
+                action: 'organization.deleted', entityType: 'organization', entityId: organization.id,
+                organizationId: organization.id, before: organization
+            });
+        });
+
+        log('info', `Organization ${organizationId} deleted`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete organization', error.message);
+        res.status(500).json({ error: 'Failed to delete organization' });
+    }
+});
+
+// Create project
+app.post('/api/projects', requireRole('admin'), async (req, res) => {
+    try {
+        const { values, errors } = validateProject(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid project', details: errors });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, false);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const project = await db.transaction(async (tx) => {
+            const result = await tx.insert('projects', values);
+            const created = await findById('projects', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'project.created', entityType: 'project', entityId: created.id,
+                projectId: created.id, organizationId: created.organization_id, after: created
+            });
+            // Index the project before its event goes out; clients are filtered by organization
+            tx.afterCommit(() => organizationIndex.setProject(created.id, created.organization_id));
+            await publishEvent(tx, {
+                type: 'project_created',
+                project: created
+            }, { projectId: created.id });
+            return created;
+        });
+
+        log('info', `Project ${project.id} created: ${project.name}`);
+
+        res.status(201).json(project);
+    } catch (error) {
+        log('error', 'Failed to create project', error.message);
+        res.status(500).json({ error: 'Failed to create project' });
+    }
+});
+
+// Update project
+app.put('/api/projects/:id', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateProject(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid project', details: errors });
+        }
+
+        const before = await findById('projects', projectId);
+        if (!before) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, true);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const project = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'projects', projectId, values);
+            }
+            const updated = await findById('projects', projectId, tx);
+            await recordAudit(tx, req, {
+                action: 'project.updated', entityType: 'project', entityId: updated.id,
+                projectId: updated.id, organizationId: updated.organization_id, before, after: updated
+            });
+            tx.afterCommit(() => organizationIndex.setProject(updated.id, updated.organization_id));
+            await publishEvent(tx, {
+                type: 'project_updated',
+                project: updated
+            }, { projectId: updated.id });
+            return updated;
+        });
+
+        log('info', `Project ${projectId} updated`);
+
+        res.json(project);
+    } catch (error) {
+        log('error', 'Failed to update project', error.message);
+        res.status(500).json({ error: 'Failed to update project' });
+    }
+});
+
+// Delete project with its guests, assignments, scans and scanner links
+app.delete('/api/projects/:id', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        const project = await findById('projects', projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        // Delete dependents explicitly; older SQLite databases lack ON DELETE CASCADE
+        await db.transaction(async (tx) => {
+            for (const table of ['zone_presence', 'zone_access_rules', 'zone_scanners']) {
+                await tx.execute(`DELETE FROM ${table} WHERE zone_id IN (SELECT id FROM zones WHERE project_id = ?)`, [projectId]);
+            }
+            await tx.execute('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM outbound_webhooks WHERE project_id = ?)', [projectId]);
+            await tx.execute('DELETE FROM assignment_batch_items WHERE batch_id IN (SELECT id FROM assignment_batches WHERE project_id = ?)', [projectId]);
+            for (const table of ['vip_alerts', 'project_hosts', 'scans', 'zones', 'outbound_webhooks', 'pending_tag_assignments', 'assignment_batches', 'tag_assignments', 'tag_assignment_history', 'blocked_tags', 'kiosk_tokens', 'project_scanners', 'guests']) {
+                await tx.execute(`DELETE FROM ${table} WHERE project_id = ?`, [projectId]);
+            }
+            await tx.execute('DELETE FROM projects WHERE id = ?', [projectId]);
+            // The audit trail outlives the project
+            await recordAudit(tx, req, {
+                action: 'project.deleted', entityType: 'project', entityId: project.id,
+                projectId: project.id, organizationId: project.organization_id, before: project
+            });
+            await publishEvent(tx, {
+                type: 'project_deleted',
+                projectId: parseInt(projectId)
+            }, { projectId: parseInt(projectId) });
+        });
+
+        log('info', `Project ${projectId} deleted`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete project', error.message);
+        res.status(500).json({ error: 'Failed to delete project' });
+    }
+});
+
+// Sort orders of the guest list: the columns of its ORDER BY (and of its cursors)
+const GUEST_SORTS = {
+    name: ['g.name', 'g.id'],
+    createdAt: ['g.id']
+};
+
+// Filters of the guest list: condition when the value is true, when it is false
+const GUEST_FILTERS = {
+    vip: ['g.vip = 1', '(g.vip = 0 OR g.vip IS NULL)'],
+    tagged: ['ta.tag_id IS NOT NULL', 'ta.tag_id IS NULL'],
+    checkedIn: ['g.checked_in_at IS NOT NULL', 'g.checked_in_at IS NULL']
+};
+
+// Guests of a project, a page at a time. q matches the start of name, email, phone or tag ID;
+// filters vip, tagged, checkedIn (true/false); sort name (default) or createdAt, order asc or
+// desc; limit (max 500). Pass the returned nextCursor as cursor for the next page. total is
+// only counted for the first page and null on the pages after it.
+app.get('/api/projects/:id/guests', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const limit = Math.min(parseId(req.query.limit) || 50, 500);
+        const sort = req.query.sort || 'name';
+        const order = req.query.order || 'asc';
+
+        const sortColumns = GUEST_SORTS[sort];
+        if (!sortColumns) {
+            return res.status(400).json({ error: `sort must be one of ${Object.keys(GUEST_SORTS).join(', ')}` });
+        }
+        if (!['asc', 'desc'].includes(order)) {
+            return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const conditions = ['g.project_id = ?'];
+        const params = [projectId];
+
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (q) {
+            conditions.push(`(g.name LIKE ? ESCAPE '!' OR g.email LIKE ? ESCAPE '!' OR g.phone LIKE ? ESCAPE '!' OR ta.tag_id LIKE ? ESCAPE '!')`);
+            params.push(...Array(4).fill(prefixPattern(q)));
+        }
+        for (const [name, [whenTrue, whenFalse]] of Object.entries(GUEST_FILTERS)) {
+            if (req.query[name] === undefined) {
+                continue;
+            }
+            const value = parseBoolean(req.query[name]);
+            if (value === undefined || req.query[name] === '') {
+                return res.status(400).json({ error: `${name} must be true or false` });
+            }
+            conditions.push(value ? whenTrue : whenFalse);
+        }
+
+        const from = `
+            FROM guests g
+            LEFT JOIN tag_assignments ta ON g.id = ta.guest_id AND ta.project_id = g.project_id
+        `;
+        let total = null;
+        if (!req.query.cursor) {
+            const countRows = await db.query(`SELECT COUNT(*) as count ${from} WHERE ${conditions.join(' AND ')}`, params);
+            total = Number(countRows[0].count);
+        } else {
+            const values = decodeCursor(req.query.cursor, sortColumns.length);
+            if (!values) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const after = keysetCondition(sortColumns, values, order === 'desc');
+            conditions.push(after.sql);
+            params.push(...after.params);
+        }
+
+        const rows = await db.query(`
+            SELECT g.*, ta.tag_id, ta.assigned_at
+            ${from}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${sortColumns.map(column => `${column} ${order.toUpperCase()}`).join(', ')}
+            LIMIT ${limit + 1}
+        `, params);
+
+        // One row beyond the page tells whether there is a next page
+        const guests = rows.slice(0, limit);
+        const last = guests[guests.length - 1];
+        res.json({
+            guests,
+            total,
+            nextCursor: rows.length > limit
+                ? encodeCursor(sortColumns.map(column => last[column.slice('g.'.length)]))
+                : null
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch guests', error.message);
+        res.status(500).json({ error: 'Failed to fetch guests' });
+    }
+});
+
+// Whether another guest of the project already has the QR code
+async function isQrCodeTaken(projectId, qrCode, guestId = null) {
+    const rows = await db.query(
+        'SELECT id FROM guests WHERE project_id = ? AND qr_code = ? AND id <> ?',
+        [projectId, qrCode, guestId || 0]
+    );
+    return rows.length > 0;
+}
+
+// Add guest to project
+app.post('/api/projects/:id/guests', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateGuest(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid guest', details: errors });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        if (values.qr_code && await isQrCodeTaken(projectId, values.qr_code)) {
+            return res.status(409).json({ error: 'qrCode is already used by another guest in this project' });
+        }
+
+        const guest = await db.transaction(async (tx) => {
+            const result = await tx.insert('guests', { ...values, project_id: projectId });
+            const created = await findById('guests', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'guest.created', entityType: 'guest', entityId: created.id,
+                projectId: created.project_id, after: created
+            });
+            await publishEvent(tx, {
+                type: 'guest_created',
+                guest: created
+            }, { projectId: created.project_id });
+            return created;
+        });
+
+        log('info', `Guest ${guest.id} added to project ${projectId}`);
+
+        res.status(201).json(guest);
+    } catch (error) {
+        log('error', 'Failed to create guest', error.message);
+        res.status(500).json({ error: 'Failed to create guest' });
+    }
+});
+
+// Import guests from CSV. Body: { csv, delimiter?, mapping?, dryRun = true,
+// updateExisting = false, skipInvalid = false }. A dry run only returns the
+// per-row preview; a commit inserts new rows (and updates guests matched by
+// email when updateExisting) in a single transaction.
+app.post('/api/projects/:id/guests/import', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { csv, mapping = {}, dryRun = true, updateExisting = false, skipInvalid = false } = req.body;
+
+        if (typeof csv !== 'string' || csv.trim() === '') {
+            return res.status(400).json({ error: 'Missing csv content' });
+        }
+        if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            return res.status(400).json({ error: 'mapping must be an object of field to column' });
+        }
+        const hasDelimiter = req.body.delimiter !== undefined && req.body.delimiter !== null && req.body.delimiter !== '';
+        if (hasDelimiter && !CANDIDATE_DELIMITERS.includes(req.body.delimiter)) {
+            return res.status(400).json({ error: 'delimiter must be one of , ; | or a tab' });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const delimiter = hasDelimiter ? req.body.delimiter : detectDelimiter(csv);
+        const records = parseCsv(csv, delimiter);
+
+        // Classify rows against the guests currently in the project
+        const prepare = async (executor) => {
+            const guestRows = await executor.query(
+                'SELECT id, email FROM guests WHERE project_id = ? AND email IS NOT NULL',
+                [projectId]
+            );
+            const existingGuests = new Map(guestRows.map(guest => [guest.email.toLowerCase(), guest.id]));
+            return buildGuestImport(records, { mapping, existingGuests });
+        };
+
+        if (dryRun) {
+            const preview = await prepare(db);
+            if (preview.errors.length > 0) {
+                return res.status(400).json({ error: 'Cannot import file', details: preview.errors });
+            }
+            return res.json({
+                dryRun: true,
+                delimiter,
+                summary: summarizeImport(preview.rows),
+                rows: preview.rows
+            });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            const preview = await prepare(tx);
+            if (preview.errors.length > 0) {
+                return { status: 400, body: { error: 'Cannot import file', details: preview.errors } };
+            }
+
+            const problems = preview.rows.filter(row => row.status === 'invalid' || row.status === 'duplicate');
+            if (problems.length > 0 && !skipInvalid) {
+                return {
+                    status: 422,
+                    body: {
+                        error: 'File contains invalid or duplicate rows; fix them or pass skipInvalid',
+                        summary: summarizeImport(preview.rows),
+                        rows: problems
+                    }
+                };
+            }
+
+            let inserted = 0;
+            let updated = 0;
+            for (const row of preview.rows) {
+                if (row.status === 'new') {
+                    await tx.insert('guests', { ...row.values, project_id: projectId });
+                    inserted++;
+                } else if (row.status === 'existing' && updateExisting) {
+                    await updateRow(tx, 'guests', row.guestId, row.values);
+                    updated++;
+                }
+            }
+
+            // One entry per import; the guests themselves are in the file
+            await recordAudit(tx, req, {
+                action: 'guest.imported', entityType: 'guest', projectId: parseInt(projectId),
+                after: { inserted, updated, skipped: preview.rows.length - inserted - updated, updateExisting }
+            });
+            await publishEvent(tx, {
+                type: 'guests_imported',
+                projectId: parseInt(projectId),
+                inserted,
+                updated
+            }, { projectId: parseInt(projectId) });
+
+            return {
+                status: 200,
+                body: {
+                    dryRun: false,
+                    delimiter,
+                    summary: summarizeImport(preview.rows),
+                    inserted,
+                    updated,
+                    skipped: preview.rows.length - inserted - updated,
+                    rows: problems
+                }
+            };
+        });
+
+        if (outcome.status === 200) {
+            log('info', `Imported guests into project ${projectId}: ${outcome.body.inserted} new, ${outcome.body.updated} updated`);
+        }
+
+        res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+        log('error', 'Failed to import guests', error.message);
+        res.status(500).json({ error: 'Failed to import guests' });
+    }
+});
+
+// Report definitions for the project exports. Each query selects rows of one
+// project with id > ? ordered by id so it can be read in keyset batches.
+const EXPORT_REPORTS = {
+    attendance: {
+        columns: [
+            'guest_id', 'name', 'email', 'phone', 'vip',
+            'tag_id', 'tag_assigned_at', 'assigned_scanner', 'assigned_scanner_location', 'assignment_status',
+            'first_scan_at', 'last_scan_at', 'scan_count', 'last_scanner'
+        ],
+        sql: `
+            SELECT
+                g.id,
+                g.id as guest_id,
+                g.name,
+                g.email,
+                g.phone,
+                g.vip,
+                ta.tag_id,
+                ta.assigned_at as tag_assigned_at,
+                (SELECT sc.name FROM pending_tag_assignments pta JOIN scanners sc ON pta.scanner_id = sc.id
+                    WHERE pta.project_id = g.project_id AND pta.guest_id = g.id AND pta.status = 'completed'
+                    ORDER BY pta.completed_at DESC LIMIT 1) as assigned_scanner,
+                (SELECT sc.location FROM pending_tag_assignments pta JOIN scanners sc ON pta.scanner_id = sc.id
+                    WHERE pta.project_id = g.project_id AND pta.guest_id = g.id AND pta.status = 'completed'
+                    ORDER BY pta.completed_at DESC LIMIT 1) as assigned_scanner_location,
+                (SELECT pta.status FROM pending_tag_assignments pta
+                    WHERE pta.project_id = g.project_id AND pta.guest_id = g.id
+                    ORDER BY pta.id DESC LIMIT 1) as assignment_status,
+                (SELECT MIN(s.scanned_at) FROM scans s
+                    WHERE s.project_id = g.project_id AND s.guest_id = g.id AND s.scan_type = 'scan') as first_scan_at,
+                (SELECT MAX(s.scanned_at) FROM scans s
+                    WHERE s.project_id = g.project_id AND s.guest_id = g.id AND s.scan_type = 'scan') as last_scan_at,
+                (SELECT COUNT(*) FROM scans s
+                    WHERE s.project_id = g.project_id AND s.guest_id = g.id AND s.scan_type = 'scan') as scan_count,
+                (SELECT sc.name FROM scans s JOIN scanners sc ON s.scanner_id = sc.id
+                    WHERE s.project_id = g.project_id AND s.guest_id = g.id AND s.scan_type = 'scan'
+                    ORDER BY s.id DESC LIMIT 1) as last_scanner
+            FROM guests g
+            LEFT JOIN tag_assignments ta ON ta.guest_id = g.id AND ta.project_id = g.project_id
+            WHERE g.project_id = ? AND g.id > ?
+            ORDER BY g.id
+        `
+    },
+    scans: {
+        columns: [
+            'scan_id', 'scanned_at', 'scan_type', 'tag_id', 'guest_id', 'guest_name',
+            'scanner_name', 'scanner_location', 'zone_name', 'access_reason'
+        ],
+        sql: `
+            SELECT
+                s.id,
+                s.id as scan_id,
+                s.scanned_at,
+                s.scan_type,
+                s.tag_id,
+                s.guest_id,
+                g.name as guest_name,
+                sc.name as scanner_name,
+                sc.location as scanner_location,
+                z.name as zone_name,
+                s.access_reason
+            FROM scans s
+            JOIN scanners sc ON s.scanner_id = sc.id
+            LEFT JOIN guests g ON s.guest_id = g.id
+            LEFT JOIN zones z ON s.zone_id = z.id
+            WHERE s.project_id = ? AND s.id > ?
+            ORDER BY s.id
+        `
+    }
+};
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Export a project report as CSV or JSON: GET /api/projects/:id/export/attendance?format=csv
+app.get('/api/projects/:id/export/:report', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    const projectId = req.params.id;
+    const report = EXPORT_REPORTS[req.params.report];
+    const format = req.query.format || 'csv';
+    let writer;
+
+    try {
+        if (!report) {
+            return res.status(404).json({ error: `Unknown report, use one of: ${Object.keys(EXPORT_REPORTS).join(', ')}` });
+        }
+        if (format !== 'csv' && format !== 'json') {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const project = await findById('projects', projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        writer = new ExportWriter(res, {
+            format,
+            columns: report.columns,
+            filename: `project-${project.id}-${req.params.report}-${new Date().toISOString().split('T')[0]}`
+        });
+
+        // Read in keyset batches so memory use does not grow with the event size
+        let afterId = 0;
+        for (;;) {
+            const rows = await db.query(`${report.sql} LIMIT ?`, [projectId, afterId, EXPORT_BATCH_SIZE]);
+            for (const row of rows) {
+                await writer.write(row);
+            }
+            if (rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+            afterId = rows[rows.length - 1].id;
+        }
+
+        writer.end();
+        log('info', `Exported ${writer.count} ${req.params.report} rows for project ${projectId} as ${format}`);
+    } catch (error) {
+        log('error', 'Failed to export report', error.message);
+        if (!writer) {
+            return res.status(500).json({ error: 'Failed to export report' });
+        }
+        // Headers are already sent; abort so the client sees an incomplete download
+        res.destroy(error);
+    }
+});
+
+// Update guest
+app.put('/api/guests/:id', requireRole('admin'), requireOrganizationAccess('guest'), async (req, res) => {
+    try {
+        const guestId = req.params.id;
+        const { values, errors } = validateGuest(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid guest', details: errors });
+        }
+
+        const before = await findById('guests', guestId);
+        if (!before) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+        if (values.qr_code && await isQrCodeTaken(before.project_id, values.qr_code, before.id)) {
+            return res.status(409).json({ error: 'qrCode is already used by another guest in this project' });
+        }
+
+        const guest = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'guests', guestId, values);
+            }
+            const updated = await findById('guests', guestId, tx);
+            await recordAudit(tx, req, {
+                action: 'guest.updated', entityType: 'guest', entityId: updated.id,
+                projectId: updated.project_id, before, after: updated
+            });
+            await publishEvent(tx, {
+                type: 'guest_updated',
+                guest: updated
+            }, { projectId: updated.project_id });
+            return updated;
+        });
+
+        log('info', `Guest ${guestId} updated`);
+
+        res.json(guest);
+    } catch (error) {
+        log('error', 'Failed to update guest', error.message);
+        res.status(500).json({ error: 'Failed to update guest' });
+    }
+});
+
+// Delete guest with tag assignments; scan history is kept without the guest reference
+app.delete('/api/guests/:id', requireRole('admin'), requireOrganizationAccess('guest'), async (req, res) => {
+    try {
+        const guestId = req.params.id;
+        const guest = await findById('guests', guestId);
+
+        if (!guest) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('UPDATE scans SET guest_id = NULL WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM pending_tag_assignments WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM tag_assignments WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM tag_assignment_history WHERE guest_id = ?', [guestId]);
+            await tx.execute('UPDATE blocked_tags SET guest_id = NULL WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM zone_access_rules WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM zone_presence WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM vip_alerts WHERE guest_id = ?', [guestId]);
+            // Batches that queued the guest move on to their next guest
+            const batchItems = await tx.query('SELECT batch_id FROM assignment_batch_items WHERE guest_id = ?', [guestId]);
+            await tx.execute('DELETE FROM assignment_batch_items WHERE guest_id = ?', [guestId]);
+            for (const item of batchItems) {
+                await syncBatch(tx, item.batch_id);
+            }
+            await tx.execute('DELETE FROM guests WHERE id = ?', [guestId]);
+            await recordAudit(tx, req, {
+                action: 'guest.deleted', entityType: 'guest', entityId: guest.id,
+                projectId: guest.project_id, before: guest
+            });
+            await publishEvent(tx, {
+                type: 'guest_deleted',
+                guestId: guest.id,
+                projectId: guest.project_id
+            }, { projectId: guest.project_id });
+        });
+
+        log('info', `Guest ${guestId} deleted from project ${guest.project_id}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete guest', error.message);
+        res.status(500).json({ error: 'Failed to delete guest' });
+    }
+});
+
+// Get all scanners
+app.get('/api/scanners', requireRole('viewer'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        scopeToOrganization(req, 'organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT * FROM scanners
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY name
+        `, params);
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch scanners', error.message);
+        res.status(500).json({ error: 'Failed to fetch scanners' });
+    }
+});
+
+// Register scanner
+app.post('/api/scanners', requireRole('admin'), async (req, res) => {
+    try {
+        const { values, errors } = validateScanner(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid scanner', details: errors });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, false);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const scanner = await db.transaction(async (tx) => {
+            const result = await tx.insert('scanners', values);
+            const created = await findById('scanners', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'scanner.created', entityType: 'scanner', entityId: created.id,
+                organizationId: created.organization_id, after: created
+            });
+            tx.afterCommit(() => organizationIndex.setScanner(created.id, created.organization_id));
+            await publishEvent(tx, {
+                type: 'scanner_created',
+                scanner: created
+            }, { scannerId: created.id });
+            return created;
+        });
+
+        log('info', `Scanner ${scanner.id} registered: ${scanner.mac_address}`);
+
+        res.status(201).json(scanner);
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'A scanner with this MAC address already exists' });
+        }
+        log('error', 'Failed to create scanner', error.message);
+        res.status(500).json({ error: 'Failed to create scanner' });
+    }
+});
+
+// Scanner heartbeat (signed like /api/tag-scan)
+app.post('/api/scanners/heartbeat', verifyWebhookSignature, async (req, res) => {
+    try {
+        const { scanner_mac } = req.body;
+
+        if (!scanner_mac) {
+            return res.status(400).json({ error: 'Missing required field: scanner_mac' });
+        }
+
+        const scannerRows = await db.query(
+            'SELECT * FROM scanners WHERE mac_address = ?',
+            [scanner_mac]
+        );
+
+        if (scannerRows.length === 0) {
+            log('warn', `Heartbeat from unknown scanner MAC: ${scanner_mac}`);
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        await recordScannerHeartbeat(scannerRows[0]);
+
+        res.json({
+            success: true,
+            scannerId: scannerRows[0].id,
+            status: 'online'
+        });
+    } catch (error) {
+        log('error', 'Failed to record scanner heartbeat', error.message);
+        res.status(500).json({ error: 'Failed to record scanner heartbeat' });
+    }
+});
+
+// Update scanner
+app.put('/api/scanners/:id', requireRole('admin'), requireOrganizationAccess('scanner'), async (req, res) => {
+    try {
+        const scannerId = req.params.id;
+        const { values, errors } = validateScanner(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid scanner', details: errors });
+        }
+
+        const before = await findById('scanners', scannerId);
+        if (!before) {
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        const denied = await checkOrganizationAssignment(req, values, true);
+        if (denied) {
+            return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const scanner = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'scanners', scannerId, values);
+            }
+            const updated = await findById('scanners', scannerId, tx);
+            await recordAudit(tx, req, {
+                action: 'scanner.updated', entityType: 'scanner', entityId: updated.id,
+                organizationId: updated.organization_id, before, after: updated
+            });
+            tx.afterCommit(() => organizationIndex.setScanner(updated.id, updated.organization_id));
+            await publishEvent(tx, {
+                type: 'scanner_updated',
+                scanner: updated
+            }, { scannerId: updated.id });
+            return updated;
+        });
+
+        log('info', `Scanner ${scannerId} updated`);
+
+        res.json(scanner);
+    } catch (error) {
+        if (db.isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'A scanner with this MAC address already exists' });
+        }
+        log('error', 'Failed to update scanner', error.message);
+        res.status(500).json({ error: 'Failed to update scanner' });
+    }
+});
+
+// Delete scanner with its project links and pending assignments; scanners with recorded scans are kept for the scan history
+app.delete('/api/scanners/:id', requireRole('admin'), requireOrganizationAccess('scanner'), async (req, res) => {
+    try {
+        const scannerId = req.params.id;
+
+        const scanner = await findById('scanners', scannerId);
+        if (!scanner) {
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        const deleted = await db.transaction(async (tx) => {
+            const scans = await tx.query('SELECT id FROM scans WHERE scanner_id = ? LIMIT 1', [scannerId]);
+            if (scans.length > 0) {
+                return false;
+            }
+
+            await tx.execute('DELETE FROM assignment_batch_items WHERE batch_id IN (SELECT id FROM assignment_batches WHERE scanner_id = ?)', [scannerId]);
+            for (const table of ['pending_tag_assignments', 'assignment_batches', 'kiosk_tokens', 'project_scanners', 'zone_scanners']) {
+                await tx.execute(`DELETE FROM ${table} WHERE scanner_id = ?`, [scannerId]);
+            }
+            await tx.execute('DELETE FROM scanners WHERE id = ?', [scannerId]);
+            await recordAudit(tx, req, {
+                action: 'scanner.deleted', entityType: 'scanner', entityId: scanner.id,
+                organizationId: scanner.organization_id, before: scanner
+            });
+            await publishEvent(tx, {
+                type: 'scanner_deleted',
+                scannerId: parseInt(scannerId)
+            }, { scannerId: parseInt(scannerId) });
+            return true;
+        });
+
+        if (!deleted) {
+            return res.status(409).json({ error: 'Scanner has recorded scans; unlink it from its projects instead' });
+        }
+
+        log('info', `Scanner ${scannerId} deleted`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete scanner', error.message);
+        res.status(500).json({ error: 'Failed to delete scanner' });
+    }
+});
+
+// Link scanner to project
+app.post('/api/projects/:id/scanners', requireRole('admin'), requireOrganizationAccess('project'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const scannerId = parseId(req.body.scannerId);
+
+        if (!scannerId) {
+            return res.status(400).json({ error: 'Missing or invalid scannerId' });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const scanner = await findById('scanners', scannerId);
+        if (!scanner) {
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        try {
+            await db.transaction(async (tx) => {
+                await tx.insert('project_scanners', { project_id: projectId, scanner_id: scannerId });
+                await recordAudit(tx, req, {
+                    action: 'scanner.linked', entityType: 'scanner', entityId: scanner.id,
+                    projectId: parseInt(projectId), after: { project_id: parseInt(projectId), scanner_id: scanner.id }
+                });
+                await publishEvent(tx, {
+                    type: 'project_scanner_linked',
+                    projectId: parseInt(projectId),
+                    scanner
+                }, { projectId: parseInt(projectId), scannerId: scanner.id });
+            });
+        } catch (error) {
+            if (db.isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Scanner is already linked to this project' });
+            }
+            throw error;
+        }
+
+        log('info', `Scanner ${scannerId} linked to project ${projectId}`);
+
+        res.status(201).json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to link scanner', error.message);
+        res.status(500).json({ error: 'Failed to link scanner' });
+    }
+});
+
+// Unlink scanner from project
+app.delete('/api/projects/:id/scanners/:scannerId', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const { id: projectId, scannerId } = req.params;
+
+        const unlinked = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                'DELETE FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+                [projectId, scannerId]
+            );
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            // The scanner leaves the project's zones too
+            await tx.execute(
+                'DELETE FROM zone_scanners WHERE scanner_id = ? AND zone_id IN (SELECT id FROM zones WHERE project_id = ?)',
+                [scannerId, projectId]
+            );
+
+            // Waiting assignments on this scanner can no longer complete for the project
+            await tx.execute(`
+                UPDATE pending_tag_assignments
+                SET status = 'cancelled'
+                WHERE project_id = ? AND scanner_id = ? AND status IN ('waiting', 'conflict')
+            `, [projectId, scannerId]);
+            await tx.execute(`
+                UPDATE assignment_batches
+                SET status = 'cancelled', updated_at = ${db.now()}
+                WHERE project_id = ? AND scanner_id = ? AND status IN ('active', 'paused')
+            `, [projectId, scannerId]);
+            // and kiosks next to it can no longer hand out tags
+            await tx.execute(
+                'UPDATE kiosk_tokens SET active = 0 WHERE project_id = ? AND scanner_id = ?',
+                [projectId, scannerId]
+            );
+
+            await recordAudit(tx, req, {
+                action: 'scanner.unlinked', entityType: 'scanner', entityId: parseInt(scannerId),
+                projectId: parseInt(projectId), before: { project_id: parseInt(projectId), scanner_id: parseInt(scannerId) }
+            });
+            await publishEvent(tx, {
+                type: 'project_scanner_unlinked',
+                projectId: parseInt(projectId),
+                scannerId: parseInt(scannerId)
+            }, { projectId: parseInt(projectId), scannerId: parseInt(scannerId) });
+            return true;
+        });
+
+        if (!unlinked) {
+            return res.status(404).json({ error: 'Scanner is not linked to this project' });
+        }
+
+        log('info', `Scanner ${scannerId} unlinked from project ${projectId}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to unlink scanner', error.message);
+        res.status(500).json({ error: 'Failed to unlink scanner' });
+    }
+});
+
+// Access control zones. A zone groups the scanners at one set of doors within a
+// project; its rules decide whether a scanned guest may enter (see lib/access.js).
+
+async function loadZones(projectId) {
+    const zones = await db.query('SELECT * FROM zones WHERE project_id = ? ORDER BY name', [projectId]);
+    if (zones.length === 0) {
+        return [];
+    }
+
+    const scanners = await db.query(`
+        SELECT zs.zone_id, s.*
+        FROM zone_scanners zs
+        JOIN scanners s ON zs.scanner_id = s.id
+        JOIN zones z ON zs.zone_id = z.id
+        WHERE z.project_id = ?
+        ORDER BY s.name
+    `, [projectId]);
+    const rules = await db.query(`
+        SELECT r.*, g.name as guest_name
+        FROM zone_access_rules r
+        JOIN zones z ON r.zone_id = z.id
+        LEFT JOIN guests g ON r.guest_id = g.id
+        WHERE z.project_id = ?
+        ORDER BY r.id
+    `, [projectId]);
+
+    return zones.map(zone => ({
+        ...zone,
+        scanners: scanners.filter(scanner => scanner.zone_id === zone.id),
+        rules: rules.filter(rule => rule.zone_id === zone.id)
+    }));
+}
+
+// Get zones of a project with their scanners and rules
+app.get('/api/projects/:id/zones', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        res.json(await loadZones(projectId));
+    } catch (error) {
+        log('error', 'Failed to fetch zones', error.message);
+        res.status(500).json({ error: 'Failed to fetch zones' });
+    }
+});
+
+// Create zone
+app.post('/api/projects/:id/zones', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateZone(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid zone', details: errors });
+        }
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const zone = await db.transaction(async (tx) => {
+            const result = await tx.insert('zones', { ...values, project_id: projectId });
+            const created = await findById('zones', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'zone.created', entityType: 'zone', entityId: created.id,
+                projectId: created.project_id, after: created
+            });
+            await publishEvent(tx, {
+                type: 'zone_created',
+                zone: created
+            }, { projectId: created.project_id });
+            return created;
+        });
+
+        log('info', `Zone ${zone.id} (${zone.name}) created in project ${projectId}`);
+
+        res.status(201).json(zone);
+    } catch (error) {
+        log('error', 'Failed to create zone', error.message);
+        res.status(500).json({ error: 'Failed to create zone' });
+    }
+});
+
+// Update zone
+app.put('/api/zones/:id', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+        const { values, errors } = validateZone(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid zone', details: errors });
+        }
+
+        const before = await findById('zones', zoneId);
+        if (!before) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const zone = await db.transaction(async (tx) => {
+            if (Object.keys(values).length > 0) {
+                await updateRow(tx, 'zones', zoneId, values);
+            }
+            const updated = await findById('zones', zoneId, tx);
+            await recordAudit(tx, req, {
+                action: 'zone.updated', entityType: 'zone', entityId: updated.id,
+                projectId: updated.project_id, before, after: updated
+            });
+            await publishEvent(tx, {
+                type: 'zone_updated',
+                zone: updated
+            }, { projectId: updated.project_id });
+            return updated;
+        });
+
+        log('info', `Zone ${zoneId} updated`);
+
+        res.json(zone);
+    } catch (error) {
+        log('error', 'Failed to update zone', error.message);
+        res.status(500).json({ error: 'Failed to update zone' });
+    }
+});
+
+// Delete zone with its scanner links and rules; scans keep their decision without the zone
+app.delete('/api/zones/:id', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+        const zone = await findById('zones', zoneId);
+
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('UPDATE scans SET zone_id = NULL WHERE zone_id = ?', [zoneId]);
+            for (const table of ['zone_presence', 'zone_access_rules', 'zone_scanners']) {
+                await tx.execute(`DELETE FROM ${table} WHERE zone_id = ?`, [zoneId]);
+            }
+            await tx.execute('DELETE FROM zones WHERE id = ?', [zoneId]);
+            await recordAudit(tx, req, {
+                action: 'zone.deleted', entityType: 'zone', entityId: zone.id,
+                projectId: zone.project_id, before: zone
+            });
+            await publishEvent(tx, {
+                type: 'zone_deleted',
+                zoneId: zone.id,
+                projectId: zone.project_id
+            }, { projectId: zone.project_id });
+        });
+
+        log('info', `Zone ${zoneId} deleted from project ${zone.project_id}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete zone', error.message);
+        res.status(500).json({ error: 'Failed to delete zone' });
+    }
+});
+
+// Add scanner to zone: { scannerId, direction = 'entry' }. The scanner must be linked to
+// the zone's project and can be in only one zone per project, so every scan has a single decision.
+app.post('/api/zones/:id/scanners', requireRole('admin'), requireOrganizationAccess('zone'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+        const scannerId = parseId(req.body.scannerId);
+        const direction = req.body.direction || 'entry';
+
+        if (!scannerId) {
+            return res.status(400).json({ error: 'Missing or invalid scannerId' });
+        }
+        if (!SCANNER_DIRECTIONS.includes(direction)) {
+            return res.status(400).json({ error: `direction must be one of: ${SCANNER_DIRECTIONS.join(', ')}` });
+        }
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const linkRows = await db.query(
+            'SELECT 1 FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+            [zone.project_id, scannerId]
+        );
+        if (linkRows.length === 0) {
+            return res.status(400).json({ error: 'Scanner is not linked to the zone\'s project' });
+        }
+
+        const otherZones = await db.query(`
+            SELECT z.id, z.name
+            FROM zone_scanners zs
+            JOIN zones z ON zs.zone_id = z.id
+            WHERE zs.scanner_id = ? AND z.project_id = ?
+        `, [scannerId, zone.project_id]);
+        if (otherZones.length > 0) {
+            return res.status(409).json({ error: `Scanner already belongs to zone ${otherZones[0].name}` });
+        }
+
+        try {
+            await db.transaction(async (tx) => {
+                await tx.insert('zone_scanners', { zone_id: zoneId, scanner_id: scannerId, direction });
+                await recordAudit(tx, req, {
+                    action: 'zone_scanner.linked', entityType: 'zone', entityId: zone.id,
+                    projectId: zone.project_id, after: { zone_id: zone.id, scanner_id: scannerId, direction }
+                });
+                await publishEvent(tx, {
+                    type: 'zone_scanner_linked',
+                    zoneId: zone.id,
+                    projectId: zone.project_id,
+                    scannerId,
+                    direction
+                }, { projectId: zone.project_id, scannerId });
+            });
+        } catch (error) {
+            if (db.isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Scanner already belongs to this zone' });
+            }
+            throw error;
+        }
+
+        log('info', `Scanner ${scannerId} added to zone ${zoneId} as ${direction}`);
+
+        res.status(201).json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to add scanner to zone', error.message);
+        res.status(500).json({ error: 'Failed to add scanner to zone' });
+    }
+});
+
+// Change the direction of a scanner in a zone
+app.put('/api/zones/:id/scanners/:scannerId', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const { id: zoneId, scannerId } = req.params;
+        const { direction } = req.body;
+
+        if (!SCANNER_DIRECTIONS.includes(direction)) {
+            return res.status(400).json({ error: `direction must be one of: ${SCANNER_DIRECTIONS.join(', ')}` });
+        }
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const links = await db.query(
+            'SELECT * FROM zone_scanners WHERE zone_id = ? AND scanner_id = ?',
+            [zoneId, scannerId]
+        );
+        if (links.length === 0) {
+            return res.status(404).json({ error: 'Scanner is not in this zone' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute(
+                'UPDATE zone_scanners SET direction = ? WHERE zone_id = ? AND scanner_id = ?',
+                [direction, zoneId, scannerId]
+            );
+            await recordAudit(tx, req, {
+                action: 'zone_scanner.updated', entityType: 'zone', entityId: zone.id,
+                projectId: zone.project_id, before: links[0], after: { ...links[0], direction }
+            });
+            await publishEvent(tx, {
+                type: 'zone_scanner_updated',
+                zoneId: parseInt(zoneId),
+                scannerId: parseInt(scannerId),
+                direction
+            }, { projectId: zone.project_id, scannerId: parseInt(scannerId) });
+        });
+
+        log('info', `Scanner ${scannerId} in zone ${zoneId} set to ${direction}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to update zone scanner', error.message);
+        res.status(500).json({ error: 'Failed to update zone scanner' });
+    }
+});
+
+// Remove scanner from zone
+app.delete('/api/zones/:id/scanners/:scannerId', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const { id: zoneId, scannerId } = req.params;
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const links = await db.query(
+            'SELECT * FROM zone_scanners WHERE zone_id = ? AND scanner_id = ?',
+            [zoneId, scannerId]
+        );
+        if (links.length === 0) {
+            return res.status(404).json({ error: 'Scanner is not in this zone' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute(
+                'DELETE FROM zone_scanners WHERE zone_id = ? AND scanner_id = ?',
+                [zoneId, scannerId]
+            );
+            await recordAudit(tx, req, {
+                action: 'zone_scanner.unlinked', entityType: 'zone', entityId: zone.id,
+                projectId: zone.project_id, before: links[0]
+            });
+            await publishEvent(tx, {
+                type: 'zone_scanner_unlinked',
+                zoneId: parseInt(zoneId),
+                scannerId: parseInt(scannerId)
+            }, { projectId: zone.project_id, scannerId: parseInt(scannerId) });
+        });
+
+        log('info', `Scanner ${scannerId} removed from zone ${zoneId}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to remove scanner from zone', error.message);
+        res.status(500).json({ error: 'Failed to remove scanner from zone' });
+    }
+});
+
+// Add access rule: { guestId | category, action, startsAt?, endsAt?, note? }
+app.post('/api/zones/:id/rules', requireRole('admin'), requireOrganizationAccess('zone'), requireOrganizationAccess('guest', req => req.body.guestId), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+        const { values, errors } = validateAccessRule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid access rule', details: errors });
+        }
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        if (values.guest_id) {
+            const guest = await findById('guests', values.guest_id);
+            if (!guest || guest.project_id !== zone.project_id) {
+                return res.status(400).json({ error: 'Guest does not belong to the zone\'s project' });
+            }
+        }
+
+        const rule = await db.transaction(async (tx) => {
+            const result = await tx.insert('zone_access_rules', {
+                ...values,
+                starts_at: values.starts_at ? db.toDbDate(values.starts_at) : null,
+                ends_at: values.ends_at ? db.toDbDate(values.ends_at) : null,
+                zone_id: zoneId
+            });
+            const created = await findById('zone_access_rules', result.insertId, tx);
+            await recordAudit(tx, req, {
+                action: 'zone_rule.created', entityType: 'zone_rule', entityId: created.id,
+                projectId: zone.project_id, after: created
+            });
+            await publishEvent(tx, {
+                type: 'zone_rule_created',
+                zoneId: zone.id,
+                projectId: zone.project_id,
+                rule: created
+            }, { projectId: zone.project_id });
+            return created;
+        });
+
+        log('info', `Access rule ${rule.id} (${rule.action}) added to zone ${zoneId}`);
+
+        res.status(201).json(rule);
+    } catch (error) {
+        log('error', 'Failed to create access rule', error.message);
+        res.status(500).json({ error: 'Failed to create access rule' });
+    }
+});
+
+// Delete access rule
+app.delete('/api/zones/:id/rules/:ruleId', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const { id: zoneId, ruleId } = req.params;
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const rules = await db.query(
+            'SELECT * FROM zone_access_rules WHERE id = ? AND zone_id = ?',
+            [ruleId, zoneId]
+        );
+        if (rules.length === 0) {
+            return res.status(404).json({ error: 'Access rule not found' });
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.execute('DELETE FROM zone_access_rules WHERE id = ?', [ruleId]);
+            await recordAudit(tx, req, {
+                action: 'zone_rule.deleted', entityType: 'zone_rule', entityId: rules[0].id,
+                projectId: zone.project_id, before: rules[0]
+            });
+            await publishEvent(tx, {
+                type: 'zone_rule_deleted',
+                zoneId: parseInt(zoneId),
+                ruleId: parseInt(ruleId)
+            }, { projectId: zone.project_id });
+        });
+
+        log('info', `Access rule ${ruleId} removed from zone ${zoneId}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to delete access rule', error.message);
+        res.status(500).json({ error: 'Failed to delete access rule' });
+    }
+});
+
+// Live occupancy: zone_presence holds the zone every guest is in right now. Allowed scans
+// at zone scanners move guests in or out according to the scanner's direction.
+
+function zoneOccupancy(condition, params, executor = db) {
+    return executor.query(`
+        SELECT z.id, z.project_id, z.name, z.capacity, COUNT(zp.id) as occupancy
+        FROM zones z
+        LEFT JOIN zone_presence zp ON zp.zone_id = z.id
+        WHERE ${condition}
+        GROUP BY z.id, z.project_id, z.name, z.capacity
+        ORDER BY z.name
+    `, params);
+}
+
+// Publish the occupancy of the zones; pass the transaction that moved the guests
+async function broadcastOccupancy(executor, zoneIds) {
+    if (zoneIds.length === 0) {
+        return;
+    }
+    const zones = await zoneOccupancy(`z.id IN (${zoneIds.map(() => '?').join(', ')})`, zoneIds, executor);
+    if (zones.length === 0) {
+        return;
+    }
+    await publishEvent(executor, {
+        type: 'occupancy_update',
+        projectId: zones[0].project_id,
+        zones
+    }, { projectId: zones[0].project_id });
+}
+
+// Move the guest for a scan at a zone scanner, in the scan's transaction so the capacity
+// check and the move cannot interleave with another scan, and publish the new occupancy
+// with it. Returns { movement, full, passback, zoneIds }: passback is an entry while the
+// guest is already inside, zoneIds lists the zones whose count changed.
+async function moveGuest(tx, zone, guestId) {
+    const moved = await movePresence(tx, zone, guestId);
+    await broadcastOccupancy(tx, moved.zoneIds);
+    return moved;
+}
+
+async function movePresence(tx, zone, guestId) {
+    const [presence] = await tx.query('SELECT * FROM zone_presence WHERE guest_id = ?', [guestId]);
+    const inside = Boolean(presence) && presence.zone_id === zone.id;
+    const movement = zone.direction === 'toggle' ? (inside ? 'exit' : 'entry') : zone.direction;
+
+    if (movement === 'exit') {
+        if (!inside) {
+            return { movement, full: false, passback: false, zoneIds: [] };
+        }
+        await tx.execute('DELETE FROM zone_presence WHERE id = ?', [presence.id]);
+        return { movement, full: false, passback: false, zoneIds: [zone.id] };
+    }
+
+    if (inside) {
+        return { movement, full: false, passback: true, zoneIds: [] };
+    }
+
+    if (zone.capacity) {
+        const [{ count }] = await tx.query('SELECT COUNT(*) as count FROM zone_presence WHERE zone_id = ?', [zone.id]);
+        if (count >= zone.capacity) {
+            return { movement, full: true, passback: false, zoneIds: [] };
+        }
+    }
+
+    if (presence) {
+        await tx.execute(
+            `UPDATE zone_presence SET zone_id = ?, entered_at = ${tx.now()} WHERE id = ?`,
+            [zone.id, presence.id]
+        );
+        return { movement, full: false, passback: false, zoneIds: [presence.zone_id, zone.id] };
+    }
+
+    await tx.insert('zone_presence', { zone_id: zone.id, guest_id: guestId, entered_at: tx.raw(tx.now()) });
+    return { movement, full: false, passback: false, zoneIds: [zone.id] };
+}
+
+// Current occupancy of every zone in a project
+app.get('/api/projects/:id/occupancy', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const zones = await zoneOccupancy('z.project_id = ?', [projectId]);
+
+        res.json({
+            projectId: parseInt(projectId),
+            total: zones.reduce((sum, zone) => sum + Number(zone.occupancy), 0),
+            zones: zones.map(zone => ({
+                ...zone,
+                available: zone.capacity ? Math.max(zone.capacity - zone.occupancy, 0) : null
+            }))
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch occupancy', error.message);
+        res.status(500).json({ error: 'Failed to fetch occupancy' });
+    }
+});
+
+// Guests currently inside a zone
+app.get('/api/zones/:id/presence', requireRole('viewer'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+
+        if (!(await findById('zones', zoneId))) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const rows = await db.query(`
+            SELECT zp.guest_id, g.name as guest_name, g.vip, zp.entered_at
+            FROM zone_presence zp
+            JOIN guests g ON zp.guest_id = g.id
+            WHERE zp.zone_id = ?
+            ORDER BY zp.entered_at
+        `, [zoneId]);
+
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch zone presence', error.message);
+        res.status(500).json({ error: 'Failed to fetch zone presence' });
+    }
+});
+
+// Empty a zone, e.g. after closing time when not every guest scanned out
+app.delete('/api/zones/:id/presence', requireRole('admin'), requireOrganizationAccess('zone'), async (req, res) => {
+    try {
+        const zoneId = req.params.id;
+
+        const zone = await findById('zones', zoneId);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const result = await db.transaction(async (tx) => {
+            const deleted = await tx.execute('DELETE FROM zone_presence WHERE zone_id = ?', [zoneId]);
+            await recordAudit(tx, req, {
+                action: 'zone_presence.reset', entityType: 'zone', entityId: zone.id,
+                projectId: zone.project_id, after: { removed: deleted.affectedRows }
+            });
+            await broadcastOccupancy(tx, [zone.id]);
+            return deleted;
+        });
+
+        log('info', `Zone ${zoneId} occupancy reset, ${result.affectedRows} guests removed`);
+
+        res.json({ success: true, removed: result.affectedRows });
+    } catch (error) {
+        log('error', 'Failed to reset zone occupancy', error.message);
+        res.status(500).json({ error: 'Failed to reset zone occupancy' });
+    }
+});
+
+// Active users notified about VIP arrivals in a project
+function projectHosts(projectId, executor = db) {
+    return executor.query(`
+        SELECT u.id, u.username, u.name
+        FROM project_hosts ph
+        JOIN users u ON ph.user_id = u.id
+        WHERE ph.project_id = ? AND u.active = 1
+        ORDER BY u.username
+    `, [projectId]);
+}
+
+// Raise a vip_arrival alert when a VIP is let in. Scans of the same guest within
+// VIP_ALERT_COOLDOWN seconds of the last alert (the next door, a re-entry) raise none.
+// Runs in the transaction that records the scan.
+async function raiseVipAlert(executor, { projectId, guestId, scanner, scanId, zone }) {
+    const guest = await findById('guests', guestId, executor);
+    if (!guest || !guest.vip) {
+        return null;
+    }
+
+    const recent = await executor.query(
+        'SELECT id FROM vip_alerts WHERE guest_id = ? AND created_at > ? LIMIT 1',
+        [guestId, executor.toDbDate(new Date(Date.now() - config.vipAlertCooldown * 1000))]
+    );
+    if (recent.length > 0) {
+        return null;
+    }
+
+    const result = await executor.insert('vip_alerts', {
+        project_id: projectId,
+        guest_id: guestId,
+        scanner_id: scanner.id,
+        scan_id: scanId
+    });
+    const alert = await findById('vip_alerts', result.insertId, executor);
+    const hosts = await projectHosts(projectId, executor);
+
+    await publishEvent(executor, {
+        type: 'vip_arrival',
+        priority: 'high',
+        alert,
+        guest: { id: guest.id, name: guest.name, email: guest.email, phone: guest.phone },
+        scanner: { id: scanner.id, name: scanner.name, location: scanner.location },
+        zone: zone ? { id: zone.id, name: zone.name } : null,
+        hosts
+    }, { projectId, scannerId: scanner.id, userIds: hosts.map(host => host.id) });
+
+    executor.afterCommit(() => {
+        log('info', `VIP ${guest.name} arrived at ${scanner.location || scanner.name}, ${hosts.length} hosts notified`);
+    });
+
+    return alert;
+}
+
+// Hosts of a project
+app.get('/api/projects/:id/hosts', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        res.json(await projectHosts(projectId));
+    } catch (error) {
+        log('error', 'Failed to fetch project hosts', error.message);
+        res.status(500).json({ error: 'Failed to fetch project hosts' });
+    }
+});
+
+// Add a user to the hosts notified about VIP arrivals
+app.post('/api/projects/:id/hosts', requireRole('admin'), requireOrganizationAccess('project'), requireOrganizationAccess('user', req => req.body.userId), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const userId = parseId(req.body.userId);
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId must be a positive integer' });
+        }
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        if (!(await findById('users', userId))) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        try {
+            await db.transaction(async (tx) => {
+                await tx.insert('project_hosts', { project_id: projectId, user_id: userId });
+                await recordAudit(tx, req, {
+                    action: 'project_host.added', entityType: 'user', entityId: userId,
+                    projectId: parseInt(projectId), after: { project_id: parseInt(projectId), user_id: userId }
+                });
+            });
+        } catch (error) {
+            if (db.isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'User is already a host of this project' });
+            }
+            throw error;
+        }
+
+        log('info', `User ${userId} added as host of project ${projectId}`);
+
+        res.status(201).json(await projectHosts(projectId));
+    } catch (error) {
+        log('error', 'Failed to add project host', error.message);
+        res.status(500).json({ error: 'Failed to add project host' });
+    }
+});
+
+// Remove a host from a project
+app.delete('/api/projects/:id/hosts/:userId', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const removed = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                'DELETE FROM project_hosts WHERE project_id = ? AND user_id = ?',
+                [req.params.id, req.params.userId]
+            );
+            if (result.affectedRows === 0) {
+                return false;
+            }
+            await recordAudit(tx, req, {
+                action: 'project_host.removed', entityType: 'user', entityId: parseInt(req.params.userId),
+                projectId: parseInt(req.params.id),
+                before: { project_id: parseInt(req.params.id), user_id: parseInt(req.params.userId) }
+            });
+            return true;
+        });
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Host not found' });
+        }
+
+        log('info', `User ${req.params.userId} removed as host of project ${req.params.id}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        log('error', 'Failed to remove project host', error.message);
+        res.status(500).json({ error: 'Failed to remove project host' });
+    }
+});
+
+// VIP alerts of a project, newest first. Filters: status (open, acknowledged)
+app.get('/api/projects/:id/vip-alerts', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { status } = req.query;
+
+        if (status !== undefined && !['open', 'acknowledged'].includes(status)) {
+            return res.status(400).json({ error: 'status must be one of: open, acknowledged' });
+        }
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const conditions = ['va.project_id = ?'];
+        const params = [projectId];
+        if (status) {
+            conditions.push('va.status = ?');
+            params.push(status);
+        }
+
+        const rows = await db.query(`
+            SELECT va.*, g.name as guest_name, s.name as scanner_name, s.location as scanner_location,
+                u.username as acknowledged_by_username
+            FROM vip_alerts va
+            JOIN guests g ON va.guest_id = g.id
+            JOIN scanners s ON va.scanner_id = s.id
+            LEFT JOIN users u ON va.acknowledged_by = u.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY va.id DESC
+            LIMIT 200
+        `, params);
+
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch VIP alerts', error.message);
+        res.status(500).json({ error: 'Failed to fetch VIP alerts' });
+    }
+});
+
+// Record that someone greeted the VIP
+app.post('/api/vip-alerts/:id/acknowledge', requireRole('operator'), requireOrganizationAccess('vipAlert'), async (req, res) => {
+    try {
+        const alertId = req.params.id;
+        const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+
+        if (note && note.length > 255) {
+            return res.status(400).json({ error: 'note must be at most 255 characters' });
+        }
+
+        const alert = await findById('vip_alerts', alertId);
+        if (!alert) {
+            return res.status(404).json({ error: 'VIP alert not found' });
+        }
+
+        // Conditional update so two operators can not both acknowledge the same arrival
+        const acknowledged = await db.transaction(async (tx) => {
+            const result = await tx.execute(`
+                UPDATE vip_alerts
+                SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = ${db.now()}, note = ?
+                WHERE id = ? AND status = 'open'
+            `, [req.user.id, note, alertId]);
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            const updated = await findById('vip_alerts', alertId, tx);
+            await recordAudit(tx, req, {
+                action: 'vip_alert.acknowledged', entityType: 'vip_alert', entityId: updated.id,
+                projectId: updated.project_id, before: alert, after: updated
+            });
+            await publishEvent(tx, {
+                type: 'vip_alert_acknowledged',
+                alert: updated,
+                acknowledgedBy: { id: req.user.id, username: req.user.username, name: req.user.name }
+            }, { projectId: alert.project_id, scannerId: alert.scanner_id });
+            return updated;
+        });
+
+        if (!acknowledged) {
+            return res.status(409).json({ error: 'VIP alert was already acknowledged' });
+        }
+
+        log('info', `VIP alert ${alertId} acknowledged by ${req.user.username}`);
+
+        res.json(acknowledged);
+    } catch (error) {
+        log('error', 'Failed to acknowledge VIP alert', error.message);
+        res.status(500).json({ error: 'Failed to acknowledge VIP alert' });
+    }
+});
+
+// Let the guest's next scan on the scanner assign a tag. Returns { assignment }, { batchId }
+// when it is the guest's turn in a batch, which then assigns the tag, or { status, error }
+// when the guest is not in the project or the scanner is not linked to it.
+async function startTagAssignment(req, projectId, guestId, scannerId) {
+    // Replace any open assignment for this guest atomically, so a scan never
+    // sees both the old and the new assignment waiting
+    const outcome = await db.transaction(async (tx) => {
+        const guestRows = await tx.query('SELECT id FROM guests WHERE id = ? AND project_id = ?', [guestId, projectId]);
+        if (guestRows.length === 0) {
+            return { status: 400, error: 'Guest does not belong to this project' };
+        }
+        const linkRows = await tx.query(
+            'SELECT 1 FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+            [projectId, scannerId]
+        );
+        if (linkRows.length === 0) {
+            return { status: 400, error: 'Scanner is not linked to this project' };
+        }
+
+        const batchRows = await tx.query(`
+            SELECT i.batch_id
+            FROM pending_tag_assignments pta
+            JOIN assignment_batch_items i ON pta.batch_item_id = i.id
+            WHERE pta.guest_id = ? AND pta.project_id = ? AND pta.status IN ('waiting', 'conflict')
+        `, [guestId, projectId]);
+        if (batchRows.length > 0) {
+            return { batchId: batchRows[0].batch_id };
+        }
+
+        await tx.execute(`
+            UPDATE pending_tag_assignments
+            SET status = 'cancelled'
+            WHERE guest_id = ? AND project_id = ? AND status IN ('waiting', 'conflict')
+        `, [guestId, projectId]);
+
+        const result = await tx.execute(`
+            INSERT INTO pending_tag_assignments (project_id, guest_id, scanner_id, status)
+            VALUES (?, ?, ?, 'waiting')
+        `, [projectId, guestId, scannerId]);
+        await recordAudit(tx, req, {
+            action: 'tag_assignment.started', entityType: 'pending_tag_assignment', entityId: result.insertId,
+            projectId: parseInt(projectId),
+            after: { guest_id: parseInt(guestId), scanner_id: parseInt(scannerId), status: 'waiting' }
+        });
+
+        const createdAt = new Date();
+        const started = {
+            id: result.insertId,
+            projectId,
+            guestId,
+            scannerId,
+            status: 'waiting',
+            guest: await findById('guests', guestId, tx),
+            scanner: await findById('scanners', scannerId, tx),
+            createdAt: createdAt.toISOString(),
+            expiresAt: new Date(createdAt.getTime() + config.pendingAssignmentTtl * 1000).toISOString()
+        };
+
+        await publishEvent(tx, {
+            type: 'tag_assignment_started',
+            assignment: started
+        }, { projectId: parseInt(projectId), scannerId: parseInt(scannerId) });
+
+        return { assignment: started };
+    });
+
+    if (outcome.assignment) {
+        log('info', `Tag assignment started for guest ${guestId} on scanner ${scannerId}`);
+    }
+
+    return outcome;
+}
+
+// Start tag assignment process
+app.post('/api/tag-assignment/start', requireRole('operator'), requireOrganizationAccess('project', req => req.body.projectId), requireOrganizationAccess('guest', req => req.body.guestId), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const { projectId, guestId, scannerId } = req.body;
+
+        if (!projectId || !guestId || !scannerId) {
+            return res.status(400).json({
+                error: 'Missing required fields: projectId, guestId, scannerId'
+            });
+        }
+
+        const { assignment, batchId, status, error } = await startTagAssignment(req, projectId, guestId, scannerId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (batchId) {
+            return res.status(409).json({ error: 'Guest is waiting for a tag in an assignment batch', batchId });
+        }
+
+        res.json({
+            success: true,
+            assignment
+        });
+
+    } catch (error) {
+        log('error', 'Failed to start tag assignment', error.message);
+        res.status(500).json({ error: 'Failed to start tag assignment' });
+    }
+});
+
+// Cancel tag assignment
+app.post('/api/tag-assignment/cancel', requireRole('operator'), requireOrganizationAccess('assignment', req => req.body.assignmentId), async (req, res) => {
+    try {
+        const { assignmentId } = req.body;
+
+        if (!assignmentId) {
+            return res.status(400).json({ error: 'Missing assignmentId' });
+        }
+
+        const assignment = await findById('pending_tag_assignments', assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+        if (assignment.batch_item_id) {
+            return res.status(409).json({ error: 'Assignment belongs to a batch; skip the guest or pause the batch instead' });
+        }
+
+        const cancelled = await db.transaction(async (tx) => {
+            const result = await tx.execute(`
+                UPDATE pending_tag_assignments
+                SET status = 'cancelled'
+                WHERE id = ? AND status IN ('waiting', 'conflict')
+            `, [assignmentId]);
+            if (result.affectedRows === 0) {
+                return false;
+            }
+
+            await recordAudit(tx, req, {
+                action: 'tag_assignment.cancelled', entityType: 'pending_tag_assignment', entityId: assignment.id,
+                projectId: assignment.project_id, before: assignment, after: { ...assignment, status: 'cancelled' }
+            });
+            await publishEvent(tx, {
+                type: 'tag_assignment_cancelled',
+                assignmentId
+            }, { projectId: assignment.project_id, scannerId: assignment.scanner_id });
+            return true;
+        });
+
+        if (!cancelled) {
+            return res.status(409).json({ error: 'Assignment is no longer waiting or in conflict' });
+        }
+
+        log('info', `Tag assignment ${assignmentId} cancelled`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        log('error', 'Failed to cancel tag assignment', error.message);
+        res.status(500).json({ error: 'Failed to cancel tag assignment' });
+    }
+});
+
+// Pending assignments older than config.pendingAssignmentTtl seconds can no longer be
+// completed; the sweeper marks them (and unresolved conflicts) expired and tells the operator UI.
+// Assignments of a batch wait as long as the batch runs.
+function pendingAssignmentCutoff() {
+    return db.toDbDate(new Date(Date.now() - config.pendingAssignmentTtl * 1000));
+}
+
+async function expirePendingAssignments() {
+    try {
+        const cutoff = pendingAssignmentCutoff();
+        const expiredRows = await db.query(`
+            SELECT pta.*, g.name as guest_name, s.name as scanner_name
+            FROM pending_tag_assignments pta
+            JOIN guests g ON pta.guest_id = g.id
+            JOIN scanners s ON pta.scanner_id = s.id
+            WHERE pta.status IN ('waiting', 'conflict') AND pta.created_at < ? AND pta.batch_item_id IS NULL
+        `, [cutoff]);
+
+        for (const assignment of expiredRows) {
+            const expired = await db.transaction(async (tx) => {
+                // Conditional update so an assignment completed or cancelled meanwhile is left alone
+                const result = await tx.execute(`
+                    UPDATE pending_tag_assignments
+                    SET status = 'expired'
+                    WHERE id = ? AND status IN ('waiting', 'conflict')
+                `, [assignment.id]);
+                if (result.affectedRows === 0) {
+                    return false;
+                }
+
+                await publishEvent(tx, {
+                    type: 'tag_assignment_expired',
+                    assignment: { ...assignment, status: 'expired' }
+                }, { projectId: assignment.project_id, scannerId: assignment.scanner_id });
+                return true;
+            });
+
+            if (expired) {
+                log('info', `Tag assignment ${assignment.id} for guest ${assignment.guest_name} expired`);
+            }
+        }
+    } catch (error) {
+        log('error', 'Pending assignment sweep failed', error.message);
+    }
+}
+
+// Operator choices for an assignment whose scanned tag belongs to another guest
+const TAG_CONFLICT_ACTIONS = ['transfer', 'abort'];
+
+// Guests other than guestId holding tagId in the project
+function findTagHolders(executor, projectId, tagId, guestId) {
+    return executor.query(`
+        SELECT ta.guest_id, g.name as guest_name, ta.assigned_at
+        FROM tag_assignments ta
+        JOIN guests g ON ta.guest_id = g.id
+        WHERE ta.project_id = ? AND ta.tag_id = ? AND ta.guest_id <> ?
+    `, [projectId, tagId, guestId]);
+}
+
+// Give the guest tagId in place of any tag it had. Not an upsert: on MySQL ON DUPLICATE KEY
+// UPDATE also fires on unique_project_tag and would take the tag from its other holder, where
+// this raises a unique violation on both databases.
+async function bindTag(executor, projectId, guestId, tagId) {
+    const updated = await executor.execute(
+        `UPDATE tag_assignments SET tag_id = ?, assigned_at = ${executor.now()} WHERE project_id = ? AND guest_id = ?`,
+        [tagId, projectId, guestId]
+    );
+    if (updated.affectedRows === 0) {
+        await executor.insert('tag_assignments', {
+            project_id: projectId,
+            guest_id: guestId,
+            tag_id: tagId,
+            assigned_at: executor.raw(executor.now())
+        });
+    }
+}
+
+// Tag history: tag_assignment_history keeps every binding of a tag to a guest with its
+// validity, so a scan can be attributed to whoever held the tag at that moment. The open
+// binding (valid_to NULL) of a guest always matches its tag_assignments row.
+
+// Close the guest's open binding with endReason (replaced_lost_tag, transferred, removed)
+async function closeTagBinding(executor, projectId, guestId, endReason) {
+    await executor.execute(`
+        UPDATE tag_assignment_history
+        SET valid_to = ${executor.now()}, end_reason = ?
+        WHERE project_id = ? AND guest_id = ? AND valid_to IS NULL
+    `, [endReason, projectId, guestId]);
+}
+
+// Record that the guest now holds tagId. A guest that held another tag gets the new one as
+// replacement of a lost tag; binding the tag it already holds changes nothing.
+async function openTagBinding(executor, { projectId, guestId, tagId, reason, assignmentId = null }) {
+    const current = await executor.query(
+        'SELECT tag_id FROM tag_assignment_history WHERE project_id = ? AND guest_id = ? AND valid_to IS NULL',
+        [projectId, guestId]
+    );
+    if (current.length > 0 && current[0].tag_id === tagId) {
+        return;
+    }
+    if (current.length > 0) {
+        await closeTagBinding(executor, projectId, guestId, 'replaced_lost_tag');
+        if (reason === 'assigned') {
+            reason = 'replaced_lost_tag';
+        }
+    }
+
+    await executor.insert('tag_assignment_history', {
+        project_id: projectId,
+        guest_id: guestId,
+        tag_id: tagId,
+        reason,
+        assignment_id: assignmentId,
+        valid_from: executor.raw(executor.now())
+    });
+}
+
+// Blocklist: lost or stolen tags of a project. Scans of a blocked tag are denied and
+// stored as 'blocked', and the tag can not be assigned.
+async function findBlockedTag(executor, projectId, tagId) {
+    const rows = await executor.query(
+        'SELECT * FROM blocked_tags WHERE project_id = ? AND tag_id = ?',
+        [projectId, tagId]
+    );
+    return rows[0] || null;
+}
+
+// Alert operators that a blocked tag turned up, and where
+async function broadcastBlockedTagScan(executor, { blockedTag, scanner, scanId = null, zone = null, assignment = null }) {
+    await publishEvent(executor, {
+        type: 'blocked_tag_scanned',
+        priority: 'high',
+        scanId,
+        projectId: blockedTag.project_id,
+        tagId: blockedTag.tag_id,
+        blockedTag,
+        scanner: { id: scanner.id, name: scanner.name, location: scanner.location },
+        zone: zone ? { id: zone.id, name: zone.name } : null,
+        assignmentId: assignment ? assignment.id : null
+    }, { projectId: blockedTag.project_id, scannerId: scanner.id });
+
+    executor.afterCommit(() => {
+        log('warn', `Blocked tag ${blockedTag.tag_id} scanned at ${scanner.location || scanner.name}`);
+    });
+}
+
+// Resolve a tag conflict: 'transfer' moves the tag from its current holder to the
+// waiting guest, 'abort' cancels the assignment and leaves the tag where it is
+app.post('/api/tag-assignment/:id/resolve', requireRole('operator'), requireOrganizationAccess('assignment'), async (req, res) => {
+    try {
+        const assignmentId = parseId(req.params.id);
+        const { action } = req.body;
+
+        if (!assignmentId) {
+            return res.status(400).json({ error: 'Invalid assignment id' });
+        }
+        if (!TAG_CONFLICT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${TAG_CONFLICT_ACTIONS.join(', ')}` });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            const rows = await tx.query(`
+                SELECT pta.*, g.name as guest_name, p.name as project_name
+                FROM pending_tag_assignments pta
+                JOIN guests g ON pta.guest_id = g.id
+                JOIN projects p ON pta.project_id = p.id
+                WHERE pta.id = ?
+            `, [assignmentId]);
+
+            if (rows.length === 0) {
+                return { status: 404, body: { error: 'Assignment not found' } };
+            }
+
+            const assignment = rows[0];
+            if (assignment.status !== 'conflict') {
+                return { status: 409, body: { error: `Assignment is ${assignment.status}, not in conflict` } };
+            }
+            if (action === 'transfer' && await findBlockedTag(tx, assignment.project_id, assignment.tag_id)) {
+                return { status: 409, body: { error: 'Tag is blocked and can not be transferred' } };
+            }
+
+            // Claim the conflict so a concurrent resolve or the expiry sweeper cannot also act on it
+            const claimed = action === 'abort'
+                ? await tx.execute(
+                    "UPDATE pending_tag_assignments SET status = 'cancelled' WHERE id = ? AND status = 'conflict'",
+                    [assignment.id]
+                )
+                : await tx.execute(
+                    `UPDATE pending_tag_assignments SET status = 'completed', completed_at = ${tx.now()} WHERE id = ? AND status = 'conflict'`,
+                    [assignment.id]
+                );
+            if (claimed.affectedRows === 0) {
+                return { status: 409, body: { error: 'Assignment is no longer in conflict' } };
+            }
+
+            if (action === 'abort') {
+                await recordAudit(tx, req, {
+                    action: 'tag_assignment.resolved', entityType: 'pending_tag_assignment', entityId: assignment.id,
+                    projectId: assignment.project_id, before: assignment, after: { status: 'cancelled', resolution: action }
+                });
+                // A batch guest still needs a tag and waits for the next one
+                const batchId = assignment.batch_item_id ? await syncBatchOfItem(tx, assignment.batch_item_id) : null;
+                if (batchId) {
+                    await broadcastBatchProgress(tx, batchId, 'reopened');
+                }
+                await publishEvent(tx, {
+                    type: 'tag_assignment_cancelled',
+                    assignmentId: assignment.id
+                }, { projectId: assignment.project_id, scannerId: assignment.scanner_id });
+                return { status: 200, assignment };
+            }
+
+            const holders = await findTagHolders(tx, assignment.project_id, assignment.tag_id, assignment.guest_id);
+            for (const holder of holders) {
+                await closeTagBinding(tx, assignment.project_id, holder.guest_id, 'transferred');
+            }
+            await recordAudit(tx, req, {
+                action: 'tag_assignment.resolved', entityType: 'pending_tag_assignment', entityId: assignment.id,
+                projectId: assignment.project_id, before: assignment,
+                after: {
+                    status: 'completed',
+                    resolution: action,
+                    tag_id: assignment.tag_id,
+                    previous_holder_guest_id: holders.length > 0 ? holders[0].guest_id : null
+                }
+            });
+
+            await tx.execute(
+                'DELETE FROM tag_assignments WHERE project_id = ? AND tag_id = ? AND guest_id <> ?',
+                [assignment.project_id, assignment.tag_id, assignment.guest_id]
+            );
+            await bindTag(tx, assignment.project_id, assignment.guest_id, assignment.tag_id);
+            await openTagBinding(tx, {
+                projectId: assignment.project_id,
+                guestId: assignment.guest_id,
+                tagId: assignment.tag_id,
+                reason: 'transferred',
+                assignmentId: assignment.id
+            });
+            await recordScan(tx, {
+                projectId: assignment.project_id,
+                scannerId: assignment.scanner_id,
+                tagId: assignment.tag_id,
+                guestId: assignment.guest_id,
+                scanType: 'assignment'
+            });
+            const batchId = assignment.batch_item_id
+                ? await syncBatchOfItem(tx, assignment.batch_item_id, assignment.tag_id)
+                : null;
+            if (batchId) {
+                await broadcastBatchProgress(tx, batchId, 'assigned');
+            }
+
+            const previousHolder = holders[0] || null;
+            if (previousHolder) {
+                await publishEvent(tx, {
+                    type: 'tag_assignment_removed',
+                    guestId: previousHolder.guest_id,
+                    projectId: assignment.project_id
+                }, { projectId: assignment.project_id });
+            }
+            await publishEvent(tx, {
+                type: 'tag_assignment_completed',
+                assignment: {
+                    ...assignment,
+                    status: 'completed',
+                    completed_at: new Date().toISOString(),
+                    transferred_from: previousHolder
+                }
+            }, { projectId: assignment.project_id, scannerId: assignment.scanner_id });
+
+            return { status: 200, assignment, previousHolder };
+        });
+
+        if (outcome.status !== 200) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { assignment, previousHolder } = outcome;
+
+        if (action === 'abort') {
+            log('info', `Tag conflict on assignment ${assignment.id} aborted, tag ${assignment.tag_id} stays with its holder`);
+
+            return res.json({ success: true, action });
+        }
+
+        log('info', `Tag ${assignment.tag_id} transferred to guest ${assignment.guest_name}` +
+            (previousHolder ? ` from ${previousHolder.guest_name}` : ''));
+
+        res.json({
+            success: true,
+            action,
+            assignment: {
+                guest_name: assignment.guest_name,
+                tag_id: assignment.tag_id,
+                project_name: assignment.project_name
+            },
+            previousHolder
+        });
+    } catch (error) {
+        log('error', 'Failed to resolve tag conflict', error.message);
+        res.status(500).json({ error: 'Failed to resolve tag conflict' });
+    }
+});
+
+// Batch tag assignment: assignment_batches queues guests (assignment_batch_items, ordered by
+// position) for one scanner. While a batch is active its first queued guest has a waiting
+// pending_tag_assignments row with batch_item_id set, so scans go through the normal flow
+// including conflicts and the blocklist. Batch rows do not expire. syncBatch brings that row
+// in line after every change to the batch.
+
+// Operator actions on a batch: allowed current statuses, the resulting status and the
+// change reported in audit log and assignment_batch_progress
+const BATCH_ACTIONS = {
+    pause: { from: ['active'], to: 'paused', change: 'paused' },
+    resume: { from: ['paused'], to: 'active', change: 'resumed' },
+    cancel: { from: ['active', 'paused'], to: 'cancelled', change: 'cancelled' }
+};
+
+async function syncBatch(executor, batchId) {
+    const [batch] = await executor.query('SELECT * FROM assignment_batches WHERE id = ?', [batchId]);
+    if (!batch) {
+        return;
+    }
+
+    const open = await executor.query(`
+        SELECT pta.id, pta.batch_item_id
+        FROM pending_tag_assignments pta
+        JOIN assignment_batch_items i ON pta.batch_item_id = i.id
+        WHERE i.batch_id = ? AND pta.status IN ('waiting', 'conflict')
+    `, [batchId]);
+    const [head] = batch.status === 'active'
+        ? await executor.query(
+            "SELECT * FROM assignment_batch_items WHERE batch_id = ? AND status = 'queued' ORDER BY position, id LIMIT 1",
+            [batchId]
+        )
+        : [];
+    const isHead = assignment => Boolean(head) && Number(assignment.batch_item_id) === Number(head.id);
+
+    for (const assignment of open.filter(assignment => !isHead(assignment))) {
+        await executor.execute(
+            "UPDATE pending_tag_assignments SET status = 'cancelled' WHERE id = ? AND status IN ('waiting', 'conflict')",
+            [assignment.id]
+        );
+    }
+
+    if (batch.status !== 'active' || open.some(isHead)) {
+        return;
+    }
+    if (!head) {
+        await executor.execute(
+            `UPDATE assignment_batches SET status = 'completed', completed_at = ${executor.now()}, updated_at = ${executor.now()} WHERE id = ?`,
+            [batchId]
+        );
+        return;
+    }
+
+    // Like /api/tag-assignment/start, replace the guest's other open assignment
+    await executor.execute(`
+        UPDATE pending_tag_assignments
+        SET status = 'cancelled'
+        WHERE guest_id = ? AND project_id = ? AND status IN ('waiting', 'conflict') AND batch_item_id IS NULL
+    `, [head.guest_id, batch.project_id]);
+    await executor.insert('pending_tag_assignments', {
+        project_id: batch.project_id,
+        guest_id: head.guest_id,
+        scanner_id: batch.scanner_id,
+        status: 'waiting',
+        batch_item_id: head.id
+    });
+}
+
+// Sync the batch of an item whose assignment was completed (tagId) or aborted; returns the batch id
+async function syncBatchOfItem(executor, batchItemId, tagId = null) {
+    if (tagId) {
+        await executor.execute(
+            `UPDATE assignment_batch_items SET status = 'assigned', tag_id = ?, assigned_at = ${executor.now()} WHERE id = ?`,
+            [tagId, batchItemId]
+        );
+    }
+    const [item] = await executor.query('SELECT batch_id FROM assignment_batch_items WHERE id = ?', [batchItemId]);
+    if (!item) {
+        return null;
+    }
+    await syncBatch(executor, item.batch_id);
+    return item.batch_id;
+}
+
+// Batch with progress counts and, while not finished, the guest whose tag is next
+async function loadBatch(batchId, executor = db) {
+    const rows = await executor.query(`
+        SELECT b.*, s.name as scanner_name, s.location as scanner_location,
+            (SELECT COUNT(*) FROM assignment_batch_items i WHERE i.batch_id = b.id) as total,
+            (SELECT COUNT(*) FROM assignment_batch_items i WHERE i.batch_id = b.id AND i.status = 'assigned') as assigned,
+            (SELECT COUNT(*) FROM assignment_batch_items i WHERE i.batch_id = b.id AND i.status = 'skipped') as skipped,
+            (SELECT COUNT(*) FROM assignment_batch_items i WHERE i.batch_id = b.id AND i.status = 'queued') as queued
+        FROM assignment_batches b
+        JOIN scanners s ON b.scanner_id = s.id
+        WHERE b.id = ?
+    `, [batchId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const batch = rows[0];
+    const current = ['active', 'paused'].includes(batch.status)
+        ? await executor.query(`
+            SELECT i.id, i.guest_id, i.position, g.name as guest_name
+            FROM assignment_batch_items i
+            JOIN guests g ON i.guest_id = g.id
+            WHERE i.batch_id = ? AND i.status = 'queued'
+            ORDER BY i.position, i.id
+            LIMIT 1
+        `, [batchId])
+        : [];
+
+    return { ...batch, current: current[0] || null };
+}
+
+// change: created, assigned, skipped, reordered, reopened (conflict aborted), paused, resumed
+// or cancelled. Pass the transaction that changed the batch.
+async function broadcastBatchProgress(executor, batchId, change) {
+    const batch = await loadBatch(batchId, executor);
+    if (!batch) {
+        return;
+    }
+    await publishEvent(executor, {
+        type: 'assignment_batch_progress',
+        change,
+        batch
+    }, { projectId: batch.project_id, scannerId: batch.scanner_id });
+}
+
+// Batches of a project, newest first
+app.get('/api/projects/:id/assignment-batches', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const rows = await db.query('SELECT id FROM assignment_batches WHERE project_id = ? ORDER BY id DESC', [projectId]);
+        const batches = [];
+        for (const row of rows) {
+            batches.push(await loadBatch(row.id));
+        }
+
+        res.json(batches);
+    } catch (error) {
+        log('error', 'Failed to fetch assignment batches', error.message);
+        res.status(500).json({ error: 'Failed to fetch assignment batches' });
+    }
+});
+
+// Queue guests for tag assignment on a scanner: { scannerId, guestIds, name? }. Tags are
+// assigned in guestIds order, one per scan. A scanner runs one unfinished batch at a time.
+app.post('/api/projects/:id/assignment-batches', requireRole('operator'), requireOrganizationAccess('project'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateAssignmentBatch(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid assignment batch', details: errors });
+        }
+        const { guest_ids: guestIds, ...columns } = values;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const linkRows = await db.query(
+            'SELECT 1 FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+            [projectId, columns.scanner_id]
+        );
+        if (linkRows.length === 0) {
+            return res.status(400).json({ error: 'Scanner is not linked to this project' });
+        }
+
+        const guestRows = await db.query(
+            `SELECT id FROM guests WHERE project_id = ? AND id IN (${guestIds.map(() => '?').join(', ')})`,
+            [projectId, ...guestIds]
+        );
+        const found = new Set(guestRows.map(guest => Number(guest.id)));
+        const missing = guestIds.filter(id => !found.has(id));
+        if (missing.length > 0) {
+            return res.status(400).json({ error: 'Invalid assignment batch', details: [`Guests not in project: ${missing.join(', ')}`] });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            const running = await tx.query(
+                "SELECT id FROM assignment_batches WHERE scanner_id = ? AND status IN ('active', 'paused')",
+                [columns.scanner_id]
+            );
+            if (running.length > 0) {
+                return { status: 409, body: { error: 'Scanner already has an unfinished batch', batchId: running[0].id } };
+            }
+
+            const result = await tx.insert('assignment_batches', {
+                ...columns,
+                project_id: projectId,
+                status: 'active',
+                created_by: req.user.id
+            });
+            const batchId = result.insertId;
+
+            for (const [index, guestId] of guestIds.entries()) {
+                await tx.insert('assignment_batch_items', { batch_id: batchId, guest_id: guestId, position: index + 1 });
+            }
+            await syncBatch(tx, batchId);
+            await recordAudit(tx, req, {
+                action: 'assignment_batch.created', entityType: 'assignment_batch', entityId: batchId,
+                projectId: parseInt(projectId), after: { ...columns, guest_ids: guestIds }
+            });
+            await broadcastBatchProgress(tx, batchId, 'created');
+
+            return { status: 201, batchId };
+        });
+
+        if (outcome.status !== 201) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        log('info', `Assignment batch ${outcome.batchId} with ${guestIds.length} guests started on scanner ${columns.scanner_id} by ${req.user.username}`);
+
+        res.status(201).json(await loadBatch(outcome.batchId));
+    } catch (error) {
+        log('error', 'Failed to create assignment batch', error.message);
+        res.status(500).json({ error: 'Failed to create assignment batch' });
+    }
+});
+
+// Batch with its guests in queue order
+app.get('/api/assignment-batches/:id', requireRole('viewer'), requireOrganizationAccess('assignmentBatch'), async (req, res) => {
+    try {
+        const batch = await loadBatch(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Assignment batch not found' });
+        }
+
+        const items = await db.query(`
+            SELECT i.*, g.name as guest_name, g.email as guest_email
+            FROM assignment_batch_items i
+            JOIN guests g ON i.guest_id = g.id
+            WHERE i.batch_id = ?
+            ORDER BY i.position, i.id
+        `, [batch.id]);
+
+        res.json({ ...batch, items });
+    } catch (error) {
+        log('error', 'Failed to fetch assignment batch', error.message);
+        res.status(500).json({ error: 'Failed to fetch assignment batch' });
+    }
+});
+
+// Skip a queued guest, e.g. a no-show; the next guest is up if it was their turn
+app.post('/api/assignment-batches/:id/items/:itemId/skip', requireRole('operator'), requireOrganizationAccess('assignmentBatch'), async (req, res) => {
+    try {
+        const { id: batchId, itemId } = req.params;
+
+        const batch = await findById('assignment_batches', batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Assignment batch not found' });
+        }
+        if (!['active', 'paused'].includes(batch.status)) {
+            return res.status(409).json({ error: `Assignment batch is ${batch.status}` });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                "UPDATE assignment_batch_items SET status = 'skipped' WHERE id = ? AND batch_id = ? AND status = 'queued'",
+                [itemId, batchId]
+            );
+            if (result.affectedRows === 0) {
+                return { status: 409, body: { error: 'Guest is not queued in this batch' } };
+            }
+            await syncBatch(tx, batch.id);
+            await recordAudit(tx, req, {
+                action: 'assignment_batch.item_skipped', entityType: 'assignment_batch', entityId: batch.id,
+                projectId: batch.project_id, after: { item_id: parseInt(itemId), status: 'skipped' }
+            });
+            await broadcastBatchProgress(tx, batch.id, 'skipped');
+            return { status: 200 };
+        });
+
+        if (outcome.status !== 200) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        log('info', `Item ${itemId} of assignment batch ${batchId} skipped by ${req.user.username}`);
+
+        res.json(await loadBatch(batch.id));
+    } catch (error) {
+        log('error', 'Failed to skip batch item', error.message);
+        res.status(500).json({ error: 'Failed to skip batch item' });
+    }
+});
+
+// Reorder the queued guests: { itemIds } lists every queued item in the new order
+app.put('/api/assignment-batches/:id/order', requireRole('operator'), requireOrganizationAccess('assignmentBatch'), async (req, res) => {
+    try {
+        const batchId = req.params.id;
+        const itemIds = Array.isArray(req.body.itemIds) ? req.body.itemIds.map(parseId) : null;
+
+        if (!itemIds || itemIds.some(id => !id)) {
+            return res.status(400).json({ error: 'itemIds must be an array of batch item ids' });
+        }
+
+        const batch = await findById('assignment_batches', batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Assignment batch not found' });
+        }
+        if (!['active', 'paused'].includes(batch.status)) {
+            return res.status(409).json({ error: `Assignment batch is ${batch.status}` });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            const items = await tx.query(
+                'SELECT id, status, position FROM assignment_batch_items WHERE batch_id = ? ORDER BY position, id',
+                [batch.id]
+            );
+            const queued = items.filter(item => item.status === 'queued').map(item => Number(item.id));
+            if (itemIds.length !== queued.length || new Set(itemIds).size !== queued.length || itemIds.some(id => !queued.includes(id))) {
+                return { status: 400, body: { error: 'itemIds must contain every queued item of the batch exactly once', queued } };
+            }
+
+            // Queued guests follow the ones already handled
+            const base = items.filter(item => item.status !== 'queued').reduce((max, item) => Math.max(max, item.position), 0);
+            for (const [index, id] of itemIds.entries()) {
+                await tx.execute('UPDATE assignment_batch_items SET position = ? WHERE id = ?', [base + index + 1, id]);
+            }
+            await syncBatch(tx, batch.id);
+            await recordAudit(tx, req, {
+                action: 'assignment_batch.reordered', entityType: 'assignment_batch', entityId: batch.id,
+                projectId: batch.project_id, before: { item_ids: queued }, after: { item_ids: itemIds }
+            });
+            await broadcastBatchProgress(tx, batch.id, 'reordered');
+            return { status: 200 };
+        });
+
+        if (outcome.status !== 200) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        log('info', `Assignment batch ${batchId} reordered by ${req.user.username}`);
+
+        res.json(await loadBatch(batch.id));
+    } catch (error) {
+        log('error', 'Failed to reorder assignment batch', error.message);
+        res.status(500).json({ error: 'Failed to reorder assignment batch' });
+    }
+});
+
+// Pause, resume or cancel a batch. Pausing withdraws the current guest's waiting assignment
+// so the scanner can be used for other assignments; resuming continues where it stopped.
+app.post('/api/assignment-batches/:id/:action', requireRole('operator'), requireOrganizationAccess('assignmentBatch'), async (req, res) => {
+    try {
+        const { id: batchId, action } = req.params;
+        const transition = BATCH_ACTIONS[action];
+
+        if (!transition) {
+            return res.status(404).json({ error: 'Endpoint not found' });
+        }
+
+        const batch = await findById('assignment_batches', batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Assignment batch not found' });
+        }
+
+        const outcome = await db.transaction(async (tx) => {
+            // Conditional update so concurrent actions can not both apply
+            const result = await tx.execute(`
+                UPDATE assignment_batches
+                SET status = ?, updated_at = ${tx.now()}
+                WHERE id = ? AND status IN (${transition.from.map(() => '?').join(', ')})
+            `, [transition.to, batch.id, ...transition.from]);
+            if (result.affectedRows === 0) {
+                const [current] = await tx.query('SELECT status FROM assignment_batches WHERE id = ?', [batch.id]);
+                return { status: 409, body: { error: `Can not ${action} a batch that is ${current.status}` } };
+            }
+            await syncBatch(tx, batch.id);
+            await recordAudit(tx, req, {
+                action: `assignment_batch.${transition.change}`,
+                entityType: 'assignment_batch', entityId: batch.id, projectId: batch.project_id,
+                before: { status: batch.status }, after: { status: transition.to }
+            });
+            await broadcastBatchProgress(tx, batch.id, transition.change);
+            return { status: 200 };
+        });
+
+        if (outcome.status !== 200) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        log('info', `Assignment batch ${batchId} ${transition.change} by ${req.user.username}`);
+
+        res.json(await loadBatch(batch.id));
+    } catch (error) {
+        log('error', 'Failed to update assignment batch', error.message);
+        res.status(500).json({ error: 'Failed to update assignment batch' });
+    }
+});
+
+// Get pending assignments
+app.get('/api/tag-assignments/pending', requireRole('viewer'), async (req, res) => {
+    try {
+        const conditions = ["pta.status IN ('waiting', 'conflict')", '(pta.created_at >= ? OR pta.batch_item_id IS NOT NULL)'];
+        const params = [pendingAssignmentCutoff()];
+        scopeToOrganization(req, 'p.organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT
+                pta.*,
+                g.name as guest_name,
+                g.email as guest_email,
+                s.name as scanner_name,
+                s.mac_address as scanner_mac,
+                p.name as project_name
+            FROM pending_tag_assignments pta
+            JOIN guests g ON pta.guest_id = g.id
+            JOIN scanners s ON pta.scanner_id = s.id
+            JOIN projects p ON pta.project_id = p.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY pta.created_at DESC
+        `, params);
+
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch pending assignments', error.message);
+        res.status(500).json({ error: 'Failed to fetch pending assignments' });
+    }
+});
+
+// Resolve the project and guest a scan belongs to. A scanner can be linked to several
+// projects; prefer the project in which the tag is assigned or blocked, else the latest
+// linked project.
+async function resolveScanContext(scannerId, tagId) {
+    const assignedRows = await db.query(`
+        SELECT ta.project_id, ta.guest_id
+        FROM tag_assignments ta
+        JOIN project_scanners ps ON ps.project_id = ta.project_id
+        WHERE ps.scanner_id = ? AND ta.tag_id = ?
+        ORDER BY ps.assigned_at DESC
+        LIMIT 1
+    `, [scannerId, tagId]);
+
+    if (assignedRows.length > 0) {
+        return { projectId: assignedRows[0].project_id, guestId: assignedRows[0].guest_id };
+    }
+
+    // A blocked tag that is no longer assigned still belongs to the project that blocked it
+    const blockedRows = await db.query(`
+        SELECT bt.project_id
+        FROM blocked_tags bt
+        JOIN project_scanners ps ON ps.project_id = bt.project_id
+        WHERE ps.scanner_id = ? AND bt.tag_id = ?
+        ORDER BY ps.assigned_at DESC
+        LIMIT 1
+    `, [scannerId, tagId]);
+
+    if (blockedRows.length > 0) {
+        return { projectId: blockedRows[0].project_id, guestId: null };
+    }
+
+    const projectRows = await db.query(`
+        SELECT project_id
+        FROM project_scanners
+        WHERE scanner_id = ?
+        ORDER BY assigned_at DESC
+        LIMIT 1
+    `, [scannerId]);
+
+    return {
+        projectId: projectRows.length > 0 ? projectRows[0].project_id : null,
+        guestId: null
+    };
+}
+
+// Store a scan in the scans history table
+async function recordScan(executor, { projectId, scannerId, tagId, guestId, scanType, zoneId = null, accessReason = null }) {
+    const result = await executor.execute(`
+        INSERT INTO scans (project_id, scanner_id, tag_id, guest_id, scan_type, zone_id, access_reason, scanned_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ${db.now()})
+    `, [projectId, scannerId, tagId, guestId, scanType, zoneId, accessReason]);
+
+    return result.insertId;
+}
+
+// Scanner online/offline tracking
+// Heartbeats and scans refresh scanners.last_heartbeat; the monitor marks scanners
+// offline after config.scannerOfflineAfter seconds of silence. Status changes are
+// broadcast as scanner_status events, published with the status update.
+function broadcastScannerStatus(executor, scanner, status, lastHeartbeat) {
+    return publishEvent(executor, {
+        type: 'scanner_status',
+        scanner: {
+            id: scanner.id,
+            name: scanner.name,
+            mac_address: scanner.mac_address,
+            location: scanner.location,
+            status,
+            last_heartbeat: lastHeartbeat
+        }
+    }, { scannerId: scanner.id });
+}
+
+async function recordScannerHeartbeat(scanner) {
+    if (scanner.status === 'online') {
+        await db.execute(`UPDATE scanners SET last_heartbeat = ${db.now()}, status = 'online' WHERE id = ?`, [scanner.id]);
+        return;
+    }
+
+    await db.transaction(async (tx) => {
+        await tx.execute(
+            `UPDATE scanners SET last_heartbeat = ${tx.now()}, status = 'online' WHERE id = ?`,
+            [scanner.id]
+        );
+        await broadcastScannerStatus(tx, scanner, 'online', new Date().toISOString());
+    });
+    log('info', `Scanner ${scanner.name} (${scanner.mac_address}) is online`);
+}
+
+async function checkScannerStatus() {
+    try {
+        const threshold = db.toDbDate(new Date(Date.now() - config.scannerOfflineAfter * 1000));
+        const staleRows = await db.query(`
+            SELECT * FROM scanners
+            WHERE status = 'online' AND (last_heartbeat IS NULL OR last_heartbeat < ?)
+        `, [threshold]);
+
+        for (const scanner of staleRows) {
+            const wentOffline = await db.transaction(async (tx) => {
+                // Conditional update so a heartbeat arriving meanwhile wins
+                const result = await tx.execute(`
+                    UPDATE scanners SET status = 'offline'
+                    WHERE id = ? AND status = 'online' AND (last_heartbeat IS NULL OR last_heartbeat < ?)
+                `, [scanner.id, threshold]);
+                if (result.affectedRows === 0) {
+                    return false;
+                }
+                await broadcastScannerStatus(tx, scanner, 'offline', scanner.last_heartbeat);
+                return true;
+            });
+
+            if (wentOffline) {
+                log('warn', `Scanner ${scanner.name} (${scanner.mac_address}) is offline, last heartbeat ${scanner.last_heartbeat}`);
+            }
+        }
+    } catch (error) {
+        log('error', 'Scanner status check failed', error.message);
+    }
+}
+
+// Park the assignment for the operator's decision (see resolve) and tell them.
+// Returns the conflict as shown to the operator.
+async function publishTagConflict(executor, scanner, assignment, tagId, holder) {
+    const conflict = {
+        assignmentId: assignment.id,
+        projectId: assignment.project_id,
+        tagId,
+        guest: { id: assignment.guest_id, name: assignment.guest_name },
+        currentHolder: holder ? { id: holder.guest_id, name: holder.guest_name } : null,
+        actions: TAG_CONFLICT_ACTIONS
+    };
+
+    await publishEvent(executor, {
+        type: 'tag_assignment_conflict',
+        assignment: { ...assignment, tag_id: tagId, status: 'conflict' },
+        conflict
+    }, { projectId: assignment.project_id, scannerId: scanner.id });
+
+    return conflict;
+}
+
+// Complete the oldest waiting assignment on the scanner with tagId in one transaction.
+// Each candidate is claimed with a conditional update, so when two scans race for the
+// same row only one sees affectedRows = 1 and the other moves on to the next candidate.
+// The events of the outcome are published in the same transaction.
+// Returns { status: 'completed' | 'conflict' | 'blocked' | 'none', assignment, holder, conflict, blockedTag, batchId }.
+function completePendingAssignment(scanner, tagId) {
+    return db.transaction(async (tx) => {
+        const candidates = await tx.query(`
+            SELECT pta.*, g.name as guest_name, p.name as project_name
+            FROM pending_tag_assignments pta
+            JOIN guests g ON pta.guest_id = g.id
+            JOIN projects p ON pta.project_id = p.id
+            WHERE pta.scanner_id = ? AND pta.status = 'waiting' AND (pta.created_at >= ? OR pta.batch_item_id IS NOT NULL)
+            ORDER BY pta.created_at ASC, pta.id ASC
+            LIMIT 5
+        `, [scanner.id, pendingAssignmentCutoff()]);
+
+        for (const assignment of candidates) {
+            // A blocked tag is never handed out; the assignment keeps waiting for another tag
+            const blockedTag = await findBlockedTag(tx, assignment.project_id, tagId);
+            if (blockedTag) {
+                await broadcastBlockedTagScan(tx, { blockedTag, scanner, assignment });
+                return { status: 'blocked', assignment, blockedTag };
+            }
+
+            // The tag already belongs to another guest: park the assignment until the
+            // operator transfers the tag or aborts (POST /api/tag-assignment/:id/resolve)
+            const holders = await findTagHolders(tx, assignment.project_id, tagId, assignment.guest_id);
+            if (holders.length > 0) {
+                const parked = await tx.execute(`
+                    UPDATE pending_tag_assignments
+                    SET status = 'conflict', tag_id = ?
+                    WHERE id = ? AND status = 'waiting'
+                `, [tagId, assignment.id]);
+
+                if (parked.affectedRows === 0) {
+                    continue;
+                }
+                const conflict = await publishTagConflict(tx, scanner, assignment, tagId, holders[0]);
+                return { status: 'conflict', assignment, holder: holders[0], conflict };
+            }
+
+            const claimed = await tx.execute(`
+                UPDATE pending_tag_assignments
+                SET status = 'completed', completed_at = ${tx.now()}, tag_id = ?
+                WHERE id = ? AND status = 'waiting'
+            `, [tagId, assignment.id]);
+
+            if (claimed.affectedRows === 0) {
+                continue;
+            }
+
+            try {
+                await bindTag(tx, assignment.project_id, assignment.guest_id, tagId);
+            } catch (error) {
+                if (!tx.isUniqueViolation(error)) {
+                    throw error;
+                }
+
+                // Another scan bound the tag to a different guest after our check
+                await tx.execute(
+                    "UPDATE pending_tag_assignments SET status = 'conflict', completed_at = NULL WHERE id = ?",
+                    [assignment.id]
+                );
+                const [holder] = await findTagHolders(tx, assignment.project_id, tagId, assignment.guest_id);
+                const conflict = await publishTagConflict(tx, scanner, assignment, tagId, holder);
+                return { status: 'conflict', assignment, holder, conflict };
+            }
+            await openTagBinding(tx, {
+                projectId: assignment.project_id,
+                guestId: assignment.guest_id,
+                tagId,
+                reason: 'assigned',
+                assignmentId: assignment.id
+            });
+
+            await recordScan(tx, {
+                projectId: assignment.project_id,
+                scannerId: scanner.id,
+                tagId,
+                guestId: assignment.guest_id,
+                scanType: 'assignment'
+            });
+            const batchId = assignment.batch_item_id
+                ? await syncBatchOfItem(tx, assignment.batch_item_id, tagId)
+                : null;
+
+            await publishEvent(tx, {
+                type: 'tag_assignment_completed',
+                assignment: {
+                    ...assignment,
+                    tag_id: tagId,
+                    status: 'completed',
+                    completed_at: new Date().toISOString()
+                }
+            }, { projectId: assignment.project_id, scannerId: scanner.id });
+            if (batchId) {
+                await broadcastBatchProgress(tx, batchId, 'assigned');
+            }
+
+            return { status: 'completed', assignment, batchId };
+        }
+
+        return { status: 'none' };
+    });
+}
+
+const scanDebouncer = new ScanDebouncer();
+
+// Decide whether the guest may pass the scanner's door. Scanners outside a zone are
+// not access controlled, except for blocked tags. Returns { zone, decision, reason, ruleId };
+// zone includes the scanner's direction in that zone.
+async function decideAccess(scannerId, projectId, guestId, blocked = false) {
+    if (!projectId) {
+        return { zone: null, ...evaluateAccess({ zone: null }) };
+    }
+
+    const zoneRows = await db.query(`
+        SELECT z.*, zs.direction
+        FROM zones z
+        JOIN zone_scanners zs ON zs.zone_id = z.id
+        WHERE zs.scanner_id = ? AND z.project_id = ?
+        LIMIT 1
+    `, [scannerId, projectId]);
+    const zone = zoneRows[0] || null;
+
+    if (!zone) {
+        return { zone, ...evaluateAccess({ zone, blocked }) };
+    }
+
+    const rules = await db.query(`
+        SELECT r.*,
+            CASE WHEN (r.starts_at IS NULL OR r.starts_at <= ${db.now()})
+                AND (r.ends_at IS NULL OR r.ends_at > ${db.now()}) THEN 1 ELSE 0 END as in_window
+        FROM zone_access_rules r
+        WHERE r.zone_id = ?
+    `, [zone.id]);
+    const guest = guestId ? await findById('guests', guestId) : null;
+
+    return { zone, ...evaluateAccess({ zone, rules, guest, blocked }) };
+}
+
+// Process a (non-duplicate) read of a tag on a scanner: complete a pending assignment or
+// record the scan with its access decision. Returns { status, body } of the response.
+async function processTagScan(scanner, { tag_id, scanner_mac, timestamp }) {
+    // Every scan proves the scanner is alive
+    await recordScannerHeartbeat(scanner);
+
+    // Complete a pending assignment on this scanner, if there is one
+    const outcome = await completePendingAssignment(scanner, tag_id);
+
+    if (outcome.status === 'blocked') {
+        const { assignment, blockedTag } = outcome;
+
+        return {
+            status: 409,
+            body: {
+                success: false,
+                error: 'Tag is blocked and can not be assigned',
+                blocked: {
+                    assignmentId: assignment.id,
+                    projectId: assignment.project_id,
+                    tagId: tag_id,
+                    reason: blockedTag.reason
+                }
+            }
+        };
+    } else if (outcome.status === 'conflict') {
+        const { assignment, holder, conflict } = outcome;
+
+        log('warn', `Tag ${tag_id} for guest ${assignment.guest_name} is already assigned to ${holder ? holder.guest_name : 'another guest'}`);
+
+        return {
+            status: 409,
+            body: {
+                success: false,
+                error: 'Tag is already assigned to another guest',
+                conflict
+            }
+        };
+    } else if (outcome.status === 'completed') {
+        const { assignment, batchId } = outcome;
+
+        log('info', `Tag ${tag_id} assigned to guest ${assignment.guest_name}`);
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: `Tag assigned to ${assignment.guest_name}`,
+                batchId,
+                assignment: {
+                    guest_name: assignment.guest_name,
+                    tag_id,
+                    project_name: assignment.project_name
+                }
+            }
+        };
+    } else {
+        // Regular scan - store it when the scanner belongs to a project
+        const { projectId, guestId } = await resolveScanContext(scanner.id, tag_id);
+        const blockedTag = projectId ? await findBlockedTag(db, projectId, tag_id) : null;
+        const { zone, ...decided } = await decideAccess(scanner.id, projectId, guestId, Boolean(blockedTag));
+        let { decision, reason } = decided;
+        let movement = null;
+        let passback = false;
+
+        // The zone move, the scan, its alerts and their events commit together
+        const { scanId, vipAlertId, access } = await db.transaction(async (tx) => {
+            if (zone && guestId && decision === 'allow') {
+                const moved = await moveGuest(tx, zone, guestId);
+                passback = moved.passback && zone.anti_passback !== 'off';
+
+                if (moved.full) {
+                    decision = 'deny';
+                    reason = 'zone_full';
+                } else if (passback && zone.anti_passback === 'deny') {
+                    decision = 'deny';
+                    reason = 'anti_passback';
+                } else {
+                    movement = moved.movement;
+                }
+            }
+
+            const access = {
+                decision,
+                reason,
+                zoneId: zone ? zone.id : null,
+                zoneName: zone ? zone.name : null,
+                movement,
+                passback
+            };
+
+            let recordedId = null;
+
+            if (projectId) {
+                // Denied scans are kept as 'denied', blocked tags as 'blocked' and flagged
+                // re-entries as 'passback', so attendance only counts regular entries
+                let scanType = 'scan';
+                if (blockedTag) {
+                    scanType = 'blocked';
+                } else if (decision === 'deny') {
+                    scanType = 'denied';
+                } else if (passback) {
+                    scanType = 'passback';
+                }
+
+                recordedId = await recordScan(tx, {
+                    projectId,
+                    scannerId: scanner.id,
+                    tagId: tag_id,
+                    guestId,
+                    scanType,
+                    zoneId: access.zoneId,
+                    accessReason: reason
+                });
+            }
+
+            if (blockedTag) {
+                await broadcastBlockedTagScan(tx, { blockedTag, scanner, scanId: recordedId, zone });
+            }
+
+            if (passback) {
+                await publishEvent(tx, {
+                    type: 'anti_passback_violation',
+                    scanId: recordedId,
+                    projectId,
+                    zoneId: zone.id,
+                    zoneName: zone.name,
+                    guestId,
+                    tagId: tag_id,
+                    scannerId: scanner.id,
+                    mode: zone.anti_passback,
+                    decision
+                }, { projectId, scannerId: scanner.id });
+            }
+
+            const vipAlert = projectId && guestId && decision === 'allow'
+                ? await raiseVipAlert(tx, { projectId, guestId, scanner, scanId: recordedId, zone })
+                : null;
+
+            await publishEvent(tx, {
+                type: 'tag_scan',
+                scan: {
+                    id: recordedId,
+                    tag_id,
+                    scanner_mac,
+                    scanner_name: scanner.name,
+                    project_id: projectId,
+                    guest_id: guestId,
+                    access,
+                    timestamp: timestamp || new Date().toISOString()
+                }
+            }, { projectId, scannerId: scanner.id });
+
+            return { scanId: recordedId, vipAlertId: vipAlert ? vipAlert.id : null, access };
+        });
+
+        if (!projectId) {
+            log('warn', `Scanner ${scanner_mac} is not linked to a project, scan not stored`);
+        }
+        if (decision === 'deny') {
+            log('info', `Access denied for tag ${tag_id} at ${zone ? `zone ${zone.name}` : `scanner ${scanner.name}`}: ${reason}`);
+        }
+        if (passback) {
+            log('warn', `Anti-passback: guest ${guestId} entered zone ${zone.name} again without exiting (${zone.anti_passback})`);
+        }
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: scanId ? 'Scan recorded' : 'Scan received, scanner not linked to a project',
+                scanId,
+                access,
+                vipAlertId
+            }
+        };
+    }
+}
+
+// Handle tag scan from n8n webhook
+app.post('/api/tag-scan', verifyWebhookSignature, async (req, res) => {
+    try {
+        const { tag_id, scanner_mac, timestamp } = req.body;
+
+        if (!tag_id || !scanner_mac) {
+            return res.status(400).json({
+                error: 'Missing required fields: tag_id, scanner_mac'
+            });
+        }
+
+        log('info', `Tag scan received: ${tag_id} on scanner ${scanner_mac}`);
+
+        // Find scanner by MAC address
+        const scannerRows = await db.query(
+            'SELECT * FROM scanners WHERE mac_address = ?',
+            [scanner_mac]
+        );
+
+        if (scannerRows.length === 0) {
+            log('warn', `Unknown scanner MAC: ${scanner_mac}`);
+            return res.status(404).json({ error: 'Scanner not found' });
+        }
+
+        const scanner = scannerRows[0];
+
+        // RFID readers report a tag many times a second; answer repeated reads with the
+        // outcome of the first one instead of recording and broadcasting each of them
+        const debounceMs = scanner.debounce_ms === null || scanner.debounce_ms === undefined
+            ? config.scanDebounceMs
+            : scanner.debounce_ms;
+        const key = `${scanner.id}:${tag_id}`;
+        const read = scanDebouncer.check(key, debounceMs);
+        if (read.duplicate) {
+            // The first read may still be in progress; answer with its outcome once known
+            const first = await read.entry.outcome;
+            return res.status(first.status).json({
+                ...first.body,
+                debounced: true,
+                message: 'Duplicate read ignored'
+            });
+        }
+
+        read.entry.outcome = processTagScan(scanner, req.body);
+        let outcome;
+        try {
+            outcome = await read.entry.outcome;
+        } catch (error) {
+            // A later read of the tag is processed again instead of repeating the failure
+            scanDebouncer.forget(key, read.entry);
+            throw error;
+        }
+
+        res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+        log('error', 'Failed to process tag scan', error.message);
+        res.status(500).json({ error: 'Failed to process tag scan' });
+    }
+});
+
+// Get scan history, newest first. Filters: projectId, scannerId, guestId, tagId, zoneId,
+// scanType, from/to (ISO timestamps). Pass the returned nextCursor as cursor for the next page.
+app.get('/api/scans/recent', requireRole('viewer'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const { projectId, scannerId, guestId, tagId, zoneId, scanType, from, to, cursor } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (projectId) {
+            conditions.push('s.project_id = ?');
+            params.push(projectId);
+        }
+        if (scannerId) {
+            conditions.push('s.scanner_id = ?');
+            params.push(scannerId);
+        }
+        if (guestId) {
+            conditions.push('s.guest_id = ?');
+            params.push(guestId);
+        }
+        if (tagId) {
+            conditions.push('s.tag_id = ?');
+            params.push(tagId);
+        }
+        if (zoneId) {
+            conditions.push('s.zone_id = ?');
+            params.push(zoneId);
+        }
+        if (scanType) {
+            conditions.push('s.scan_type = ?');
+            params.push(scanType);
+        }
+        for (const [value, operator, name] of [[from, '>=', 'from'], [to, '<=', 'to']]) {
+            if (!value) {
+                continue;
+            }
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `Invalid ${name} timestamp` });
+            }
+            conditions.push(`s.scanned_at ${operator} ?`);
+            params.push(db.toDbDate(date));
+        }
+        if (cursor) {
+            conditions.push('s.id < ?');
+            params.push(cursor);
+        }
+        scopeToOrganization(req, 'p.organization_id', conditions, params);
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await db.query(`
+            SELECT
+                s.id,
+                s.tag_id,
+                s.scan_type,
+                s.scanned_at as timestamp,
+                s.project_id,
+                s.scanner_id,
+                s.guest_id,
+                s.zone_id,
+                s.access_reason,
+                g.name as guest_name,
+                p.name as project_name,
+                sc.name as scanner_name,
+                sc.location as scanner_location,
+                z.name as zone_name
+            FROM scans s
+            JOIN projects p ON s.project_id = p.id
+            JOIN scanners sc ON s.scanner_id = sc.id
+            LEFT JOIN guests g ON s.guest_id = g.id
+            LEFT JOIN zones z ON s.zone_id = z.id
+            ${where}
+            ORDER BY s.id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        res.json({
+            scans: rows,
+            nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch recent scans', error.message);
+        res.status(500).json({ error: 'Failed to fetch recent scans' });
+    }
+});
+
+// Audit trail, newest first. Filters: projectId, actorId, action, entityType, entityId,
+// from, to (ISO time), limit (max 500) and cursor like /api/scans/recent
+app.get('/api/audit-events', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const { projectId, actorId, action, entityType, entityId, from, to, cursor } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        for (const [value, column] of [
+            [projectId, 'project_id'],
+            [actorId, 'actor_user_id'],
+            [action, 'action'],
+            [entityType, 'entity_type'],
+            [entityId, 'entity_id']
+        ]) {
+            if (value) {
+                conditions.push(`${column} = ?`);
+                params.push(value);
+            }
+        }
+        for (const [value, operator, name] of [[from, '>=', 'from'], [to, '<=', 'to']]) {
+            if (!value) {
+                continue;
+            }
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `Invalid ${name} timestamp` });
+            }
+            conditions.push(`created_at ${operator} ?`);
+            params.push(db.toDbDate(date));
+        }
+        if (cursor) {
+            conditions.push('id < ?');
+            params.push(cursor);
+        }
+        scopeToOrganization(req, 'organization_id', conditions, params);
+
+        const rows = await db.query(`
+            SELECT * FROM audit_events
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        res.json({
+            events: rows.map(row => ({
+                ...row,
+                before_values: row.before_values ? JSON.parse(row.before_values) : null,
+                after_values: row.after_values ? JSON.parse(row.after_values) : null
+            })),
+            nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch audit events', error.message);
+        res.status(500).json({ error: 'Failed to fetch audit events' });
+    }
+});
+
+// Get system statistics
+app.get('/api/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        // Users of an organization only count its projects and scanners
+        const scoped = !isPlatformUser(req.user);
+        const params = scoped ? [req.user.organization_id] : [];
+        const inProject = scoped ? 'AND p.organization_id = ?' : '';
+
+        const projectCount = await db.query(`SELECT COUNT(*) as count FROM projects p WHERE 1 = 1 ${inProject}`, params);
+        const guestCount = await db.query(`
+            SELECT COUNT(*) as count FROM guests g JOIN projects p ON g.project_id = p.id WHERE 1 = 1 ${inProject}
+        `, params);
+        const scannerCount = await db.query(`SELECT COUNT(*) as count FROM scanners ${scoped ? 'WHERE organization_id = ?' : ''}`, params);
+        const assignmentCount = await db.query(`
+            SELECT COUNT(*) as count FROM tag_assignments ta JOIN projects p ON ta.project_id = p.id WHERE 1 = 1 ${inProject}
+        `, params);
+        const pendingCount = await db.query(`
+            SELECT COUNT(*) as count FROM pending_tag_assignments pta JOIN projects p ON pta.project_id = p.id
+            WHERE pta.status = 'waiting' ${inProject}
+        `, params);
+
+        res.json({
+            projects: projectCount[0].count,
+            guests: guestCount[0].count,
+            scanners: scannerCount[0].count,
+            assignments: assignmentCount[0].count,
+            pending_assignments: pendingCount[0].count,
+            connected_clients: connectedClients.size,
+            uptime: process.uptime()
+        });
+    } catch (error) {
+        log('error', 'Failed to fetch statistics', error.message);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Remove tag assignment
+app.delete('/api/tag-assignment/:guestId', requireRole('operator'), requireOrganizationAccess('guest', 'guestId'), requireOrganizationAccess('project', req => req.query.projectId), async (req, res) => {
+    try {
+        const { guestId } = req.params;
+        const { projectId } = req.query;
+
+        if (!projectId) {
+            return res.status(400).json({ error: 'Missing projectId parameter' });
+        }
+
+        await db.transaction(async (tx) => {
+            const assigned = await tx.query(
+                'SELECT * FROM tag_assignments WHERE guest_id = ? AND project_id = ?',
+                [guestId, projectId]
+            );
+
+            // Remove tag assignment; the history keeps the binding with end_reason removed
+            await tx.execute(
+                'DELETE FROM tag_assignments WHERE guest_id = ? AND project_id = ?',
+                [guestId, projectId]
+            );
+            await closeTagBinding(tx, projectId, guestId, 'removed');
+            if (assigned.length > 0) {
+                await recordAudit(tx, req, {
+                    action: 'tag_assignment.removed', entityType: 'tag_assignment', entityId: assigned[0].id,
+                    projectId: parseInt(projectId), before: assigned[0]
+                });
+            }
+
+            // Cancel any pending assignments; a batch keeps waiting for the guest's new tag
+            await tx.execute(`
+                UPDATE pending_tag_assignments
+                SET status = 'cancelled'
+                WHERE guest_id = ? AND project_id = ? AND status IN ('waiting', 'conflict') AND batch_item_id IS NULL
+            `, [guestId, projectId]);
+
+            await publishEvent(tx, {
+                type: 'tag_assignment_removed',
+                guestId: parseInt(guestId),
+                projectId: parseInt(projectId)
+            }, { projectId: parseInt(projectId) });
+        });
+
+        log('info', `Tag assignment removed for guest ${guestId} in project ${projectId}`);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        log('error', 'Failed to remove tag assignment', error.message);
+        res.status(500).json({ error: 'Failed to remove tag assignment' });
+    }
+});
+
+// Tag bindings of a project, newest first. Filters: tagId, guestId, at (ISO time: only the
+// binding valid at that moment, i.e. who held the tag then)
+app.get('/api/projects/:id/tag-history', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { tagId, guestId, at } = req.query;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const conditions = ['h.project_id = ?'];
+        const params = [projectId];
+        if (tagId) {
+            conditions.push('h.tag_id = ?');
+            params.push(tagId);
+        }
+        if (guestId) {
+            conditions.push('h.guest_id = ?');
+            params.push(guestId);
+        }
+        if (at) {
+            const moment = new Date(at);
+            if (isNaN(moment.getTime())) {
+                return res.status(400).json({ error: 'Invalid at timestamp' });
+            }
+            conditions.push('h.valid_from <= ? AND (h.valid_to IS NULL OR h.valid_to > ?)');
+            params.push(db.toDbDate(moment), db.toDbDate(moment));
+        }
+
+        const rows = await db.query(`
+            SELECT h.*, g.name as guest_name
+            FROM tag_assignment_history h
+            JOIN guests g ON h.guest_id = g.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY h.valid_from DESC, h.id DESC
+            LIMIT 500
+        `, params);
+
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch tag history', error.message);
+        res.status(500).json({ error: 'Failed to fetch tag history' });
+    }
+});
+
+// Tags a guest has held, newest first
+app.get('/api/guests/:id/tag-history', requireRole('viewer'), requireOrganizationAccess('guest'), async (req, res) => {
+    try {
+        const guestId = req.params.id;
+
+        if (!(await findById('guests', guestId))) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+
+        const rows = await db.query(
+            'SELECT * FROM tag_assignment_history WHERE guest_id = ? ORDER BY valid_from DESC, id DESC',
+            [guestId]
+        );
+
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch tag history', error.message);
+        res.status(500).json({ error: 'Failed to fetch tag history' });
     }
 });
 
-// Start tag assignment process
-app.post('/api/tag-assignment/start', async (req, res) => {
+// Blocked tags of a project, newest first
+app.get('/api/projects/:id/blocked-tags', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
     try {
-        const { projectId, guestId, scannerId } = req.body;
+        const projectId = req.params.id;
 
-        if (!projectId || !guestId || !scannerId) {
-            return res.status(400).json({
-                error: 'Missing required fields: projectId, guestId, scannerId'
-            });
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
         }
 
-        // Cancel any existing pending assignments for this guest
-        await dbPool.execute(`
-            UPDATE pending_tag_assignments
-            SET status = 'cancelled'
-            WHERE guest_id = ? AND project_id = ? AND status = 'waiting'
-        `, [guestId, projectId]);
+        const rows = await db.query(`
+            SELECT bt.*, g.name as guest_name, u.username as blocked_by_username
+            FROM blocked_tags bt
+            LEFT JOIN guests g ON bt.guest_id = g.id
+            LEFT JOIN users u ON bt.blocked_by = u.id
+            WHERE bt.project_id = ?
+            ORDER BY bt.id DESC
+        `, [projectId]);
 
-        // Create new pending assignment
-        const [result] = await dbPool.execute(`
-            INSERT INTO pending_tag_assignments (project_id, guest_id, scanner_id, status)
-            VALUES (?, ?, ?, 'waiting')
-        `, [projectId, guestId, scannerId]);
+        res.json(rows);
+    } catch (error) {
+        log('error', 'Failed to fetch blocked tags', error.message);
+        res.status(500).json({ error: 'Failed to fetch blocked tags' });
+    }
+});
 
-        const assignmentId = result.insertId;
+// Block a lost or stolen tag: { tagId, reason? }. The guest keeps the assignment until
+// given a new tag, which is then recorded as replaced_lost_tag.
+app.post('/api/projects/:id/blocked-tags', requireRole('operator'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateBlockedTag(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid blocked tag', details: errors });
+        }
 
-        // Get guest and scanner details for response
-        const [guestRows] = await dbPool.execute(
-            'SELECT * FROM guests WHERE id = ?',
-            [guestId]
-        );
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
 
-        const [scannerRows] = await dbPool.execute(
-            'SELECT * FROM scanners WHERE id = ?',
-            [scannerId]
-        );
+        let blockedTag;
+        try {
+            blockedTag = await db.transaction(async (tx) => {
+                const holders = await tx.query(
+                    'SELECT guest_id FROM tag_assignments WHERE project_id = ? AND tag_id = ?',
+                    [projectId, values.tag_id]
+                );
+                const result = await tx.insert('blocked_tags', {
+                    ...values,
+                    project_id: projectId,
+                    guest_id: holders.length > 0 ? holders[0].guest_id : null,
+                    blocked_by: req.user.id
+                });
+                const created = await findById('blocked_tags', result.insertId, tx);
+                await recordAudit(tx, req, {
+                    action: 'blocked_tag.created', entityType: 'blocked_tag', entityId: created.id,
+                    projectId: created.project_id, after: created
+                });
+                await publishEvent(tx, {
+                    type: 'tag_blocked',
+                    blockedTag: created
+                }, { projectId: created.project_id });
+                return created;
+            });
+        } catch (error) {
+            if (db.isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'Tag is already blocked' });
+            }
+            throw error;
+        }
 
-        const assignment = {
-            id: assignmentId,
-            projectId,
-            guestId,
-            scannerId,
-            status: 'waiting',
-            guest: guestRows[0],
-            scanner: scannerRows[0],
-            createdAt: new Date().toISOString()
-        };
+        log('info', `Tag ${blockedTag.tag_id} blocked in project ${projectId} by ${req.user.username}`);
 
-        // Broadcast to all clients
-        broadcastToClients({
-            type: 'tag_assignment_started',
-            assignment
-        });
+        res.status(201).json(blockedTag);
+    } catch (error) {
+        log('error', 'Failed to block tag', error.message);
+        res.status(500).json({ error: 'Failed to block tag' });
+    }
+});
 
-        log('info', `Tag assignment started for guest ${guestId} on scanner ${scannerId}`);
+// Lift a block, e.g. when the wristband turns up again
+app.delete('/api/blocked-tags/:id', requireRole('operator'), requireOrganizationAccess('blockedTag'), async (req, res) => {
+    try {
+        const blockedTag = await findById('blocked_tags', req.params.id);
+        if (!blockedTag) {
+            return res.status(404).json({ error: 'Blocked tag not found' });
+        }
 
-        res.json({
-            success: true,
-            assignment
+        await db.transaction(async (tx) => {
+            await tx.execute('DELETE FROM blocked_tags WHERE id = ?', [blockedTag.id]);
+            await recordAudit(tx, req, {
+                action: 'blocked_tag.deleted', entityType: 'blocked_tag', entityId: blockedTag.id,
+                projectId: blockedTag.project_id, before: blockedTag
+            });
+            await publishEvent(tx, {
+                type: 'tag_unblocked',
+                blockedTagId: blockedTag.id,
+                projectId: blockedTag.project_id,
+                tagId: blockedTag.tag_id
+            }, { projectId: blockedTag.project_id });
         });
 
+        log('info', `Tag ${blockedTag.tag_id} unblocked in project ${blockedTag.project_id} by ${req.user.username}`);
+
+        res.json({ success: true });
     } catch (error) {
-        log('error', 'Failed to start tag assignment', error.message);
-        res.status(500).json({ error: 'Failed to start tag assignment' });
+        log('error', 'Failed to unblock tag', error.message);
+        res.status(500).json({ error: 'Failed to unblock tag' });
     }
 });
 
-// Cancel tag assignment
-app.post('/api/tag-assignment/cancel', async (req, res) => {
-    try {
-        const { assignmentId } = req.body;
+// Check-in
+// Guests are checked in by staff at the entrance or by themselves at a kiosk; checked_in_at
+// keeps the first check-in until it is undone. A kiosk token belongs to one project and the
+// scanner next to the kiosk, which hands out the tags.
+const KIOSK_SEARCH_MIN_LENGTH = 2;
+const KIOSK_SEARCH_LIMIT = 10;
 
-        if (!assignmentId) {
-            return res.status(400).json({ error: 'Missing assignmentId' });
-        }
+async function loadCheckInCounts(projectId, executor = db) {
+    const rows = await executor.query(
+        'SELECT COUNT(*) as total, COUNT(checked_in_at) as checked_in FROM guests WHERE project_id = ?',
+        [projectId]
+    );
+    return { total: Number(rows[0].total), checkedIn: Number(rows[0].checked_in) };
+}
 
-        await dbPool.execute(`
-            UPDATE pending_tag_assignments
-            SET status = 'cancelled'
-            WHERE id = ? AND status = 'waiting'
-        `, [assignmentId]);
+// source: staff or kiosk. Pass the transaction that changed the check-in.
+async function broadcastCheckIn(executor, guest, source) {
+    await publishEvent(executor, {
+        type: 'check_in_update',
+        projectId: guest.project_id,
+        source,
+        checkedIn: Boolean(guest.checked_in_at),
+        guest: { id: guest.id, name: guest.name, vip: Boolean(guest.vip), checked_in_at: guest.checked_in_at },
+        counts: await loadCheckInCounts(guest.project_id, executor)
+    }, { projectId: guest.project_id });
+}
 
-        // Broadcast cancellation
-        broadcastToClients({
-            type: 'tag_assignment_cancelled',
-            assignmentId
+// Check the guest in and, given a scanner, let its next scan hand out a tag unless the guest
+// already has one. Returns { guest, alreadyCheckedIn, tagId, assignment, batchId }.
+async function checkInGuest(req, guest, scannerId, source) {
+    let alreadyCheckedIn = Boolean(guest.checked_in_at);
+    if (!alreadyCheckedIn) {
+        alreadyCheckedIn = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                `UPDATE guests SET checked_in_at = ${db.now()}, updated_at = ${db.now()} WHERE id = ? AND checked_in_at IS NULL`,
+                [guest.id]
+            );
+            if (result.affectedRows === 0) {
+                return true;
+            }
+            const updated = await findById('guests', guest.id, tx);
+            await recordAudit(tx, req, {
+                action: 'guest.checked_in', entityType: 'guest', entityId: guest.id,
+                projectId: guest.project_id, after: { checked_in_at: updated.checked_in_at, source }
+            });
+            await broadcastCheckIn(tx, updated, source);
+            return false;
         });
+    }
 
-        log('info', `Tag assignment ${assignmentId} cancelled`);
+    const checkedIn = await findById('guests', guest.id);
+    if (!alreadyCheckedIn) {
+        log('info', `Guest ${checkedIn.name} checked in for project ${guest.project_id} (${source})`);
+    }
 
-        res.json({ success: true });
+    const outcome = { guest: checkedIn, alreadyCheckedIn, tagId: null, assignment: null, batchId: null };
+    if (scannerId) {
+        const tagRows = await db.query(
+            'SELECT tag_id FROM tag_assignments WHERE project_id = ? AND guest_id = ?',
+            [guest.project_id, guest.id]
+        );
+        if (tagRows.length > 0) {
+            outcome.tagId = tagRows[0].tag_id;
+        } else {
+            // The routes check the scanner link first; it can only be gone if unlinked since
+            const { assignment, batchId, error } = await startTagAssignment(req, guest.project_id, guest.id, scannerId);
+            if (error) {
+                log('warn', `No tag assignment for guest ${guest.id} on scanner ${scannerId}: ${error}`);
+            }
+            Object.assign(outcome, { assignment: assignment || null, batchId: batchId || null });
+        }
+    }
+    return outcome;
+}
+
+// Check-in counts of a project
+app.get('/api/projects/:id/check-ins', requireRole('viewer'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
 
+        res.json({ projectId: parseInt(projectId), ...(await loadCheckInCounts(projectId)) });
     } catch (error) {
-        log('error', 'Failed to cancel tag assignment', error.message);
-        res.status(500).json({ error: 'Failed to cancel tag assignment' });
+        log('error', 'Failed to fetch check-in counts', error.message);
+        res.status(500).json({ error: 'Failed to fetch check-in counts' });
     }
 });
 
-// Get pending assignments
-app.get('/api/tag-assignments/pending', async (req, res) => {
+// Check a guest in at the entrance: { scannerId? } also starts a tag assignment on that scanner
+app.post('/api/guests/:id/check-in', requireRole('operator'), requireOrganizationAccess('guest'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
     try {
-        const [rows] = await dbPool.execute(`
-            SELECT
-                pta.*,
-                g.name as guest_name,
-                g.email as guest_email,
-                s.name as scanner_name,
-                s.mac_address as scanner_mac,
-                p.name as project_name
-            FROM pending_tag_assignments pta
-            JOIN guests g ON pta.guest_id = g.id
-            JOIN scanners s ON pta.scanner_id = s.id
-            JOIN projects p ON pta.project_id = p.id
-            WHERE pta.status = 'waiting'
-            ORDER BY pta.created_at DESC
-        `);
+        const hasScanner = req.body.scannerId !== undefined && req.body.scannerId !== null;
+        const scannerId = hasScanner ? parseId(req.body.scannerId) : null;
+        if (hasScanner && !scannerId) {
+            return res.status(400).json({ error: 'scannerId must be a positive integer' });
+        }
 
-        res.json(rows);
+        const guest = await findById('guests', req.params.id);
+        if (!guest) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+
+        if (scannerId) {
+            const linkRows = await db.query(
+                'SELECT 1 FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+                [guest.project_id, scannerId]
+            );
+            if (linkRows.length === 0) {
+                return res.status(400).json({ error: 'Scanner is not linked to this project' });
+            }
+        }
+
+        const outcome = await checkInGuest(req, guest, scannerId, 'staff');
+
+        res.json({ success: true, ...outcome });
     } catch (error) {
-        log('error', 'Failed to fetch pending assignments', error.message);
-        res.status(500).json({ error: 'Failed to fetch pending assignments' });
+        log('error', 'Failed to check in guest', error.message);
+        res.status(500).json({ error: 'Failed to check in guest' });
     }
 });
 
-// Handle tag scan from n8n webhook
-app.post('/api/tag-scan', async (req, res) => {
+// Undo a check-in, e.g. one made for the wrong guest
+app.delete('/api/guests/:id/check-in', requireRole('operator'), requireOrganizationAccess('guest'), async (req, res) => {
     try {
-        const { tag_id, scanner_mac, timestamp } = req.body;
+        const before = await findById('guests', req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
 
-        if (!tag_id || !scanner_mac) {
-            return res.status(400).json({
-                error: 'Missing required fields: tag_id, scanner_mac'
+        const guest = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                `UPDATE guests SET checked_in_at = NULL, updated_at = ${db.now()} WHERE id = ? AND checked_in_at IS NOT NULL`,
+                [before.id]
+            );
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            const updated = await findById('guests', before.id, tx);
+            await recordAudit(tx, req, {
+                action: 'guest.check_in_undone', entityType: 'guest', entityId: updated.id,
+                projectId: updated.project_id, before: { checked_in_at: before.checked_in_at }
             });
+            await broadcastCheckIn(tx, updated, 'staff');
+            return updated;
+        });
+
+        if (!guest) {
+            return res.status(409).json({ error: 'Guest is not checked in' });
         }
 
-        log('info', `Tag scan received: ${tag_id} on scanner ${scanner_mac}`);
+        log('info', `Check-in of guest ${guest.id} undone by ${req.user.username}`);
 
-        // Find scanner by MAC address
-        const [scannerRows] = await dbPool.execute(
-            'SELECT * FROM scanners WHERE mac_address = ?',
-            [scanner_mac]
-        );
+        res.json({ success: true, guest });
+    } catch (error) {
+        log('error', 'Failed to undo check-in', error.message);
+        res.status(500).json({ error: 'Failed to undo check-in' });
+    }
+});
 
-        if (scannerRows.length === 0) {
-            log('warn', `Unknown scanner MAC: ${scanner_mac}`);
-            return res.status(404).json({ error: 'Scanner not found' });
+function publicKioskToken(kioskToken) {
+    const { token_hash, ...rest } = kioskToken;
+    return { ...rest, active: Boolean(kioskToken.active) };
+}
+
+// Kiosk tokens of a project (without the tokens themselves)
+app.get('/api/projects/:id/kiosk-tokens', requireRole('admin'), requireOrganizationAccess('project'), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
         }
 
-        const scanner = scannerRows[0];
+        const rows = await db.query(`
+            SELECT kt.*, s.name as scanner_name, s.location as scanner_location
+            FROM kiosk_tokens kt
+            JOIN scanners s ON kt.scanner_id = s.id
+            WHERE kt.project_id = ?
+            ORDER BY kt.created_at DESC
+        `, [projectId]);
 
-        // Check for pending assignments for this scanner
-        const [pendingRows] = await dbPool.execute(`
-            SELECT pta.*, g.name as guest_name, p.name as project_name
-            FROM pending_tag_assignments pta
-            JOIN guests g ON pta.guest_id = g.id
-            JOIN projects p ON pta.project_id = p.id
-            WHERE pta.scanner_id = ? AND pta.status = 'waiting'
-            ORDER BY pta.created_at ASC
-            LIMIT 1
-        `, [scanner.id]);
+        res.json(rows.map(publicKioskToken));
+    } catch (error) {
+        log('error', 'Failed to fetch kiosk tokens', error.message);
+        res.status(500).json({ error: 'Failed to fetch kiosk tokens' });
+    }
+});
 
-        if (pendingRows.length > 0) {
-            // Complete the tag assignment
-            const assignment = pendingRows[0];
+// Create a kiosk token: { name, scannerId }. The token is only returned here.
+app.post('/api/projects/:id/kiosk-tokens', requireRole('admin'), requireOrganizationAccess('project'), requireOrganizationAccess('scanner', req => req.body.scannerId), async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const { values, errors } = validateKioskToken(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid kiosk token', details: errors });
+        }
 
-            await dbPool.execute(`
-                UPDATE pending_tag_assignments
-                SET status = 'completed', completed_at = NOW(), tag_id = ?
-                WHERE id = ?
-            `, [tag_id, assignment.id]);
-
-            // Create or update tag assignment record
-            await dbPool.execute(`
-                INSERT INTO tag_assignments (project_id, guest_id, tag_id, assigned_at)
-                VALUES (?, ?, ?, NOW())
-                ON DUPLICATE KEY UPDATE
-                tag_id = VALUES(tag_id),
-                assigned_at = VALUES(assigned_at)
-            `, [assignment.project_id, assignment.guest_id, tag_id]);
-
-            // Broadcast successful assignment
-            broadcastToClients({
-                type: 'tag_assignment_completed',
-                assignment: {
-                    ...assignment,
-                    tag_id,
-                    status: 'completed',
-                    completed_at: new Date().toISOString()
-                }
-            });
+        if (!(await findById('projects', projectId))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
 
-            log('info', `Tag ${tag_id} assigned to guest ${assignment.guest_name}`);
+        const linkRows = await db.query(
+            'SELECT 1 FROM project_scanners WHERE project_id = ? AND scanner_id = ?',
+            [projectId, values.scanner_id]
+        );
+        if (linkRows.length === 0) {
+            return res.status(400).json({ error: 'Scanner is not linked to this project' });
+        }
 
-            res.json({
-                success: true,
-                message: `Tag assigned to ${assignment.guest_name}`,
-                assignment: {
-                    guest_name: assignment.guest_name,
-                    tag_id,
-                    project_name: assignment.project_name
-                }
+        const token = generateToken();
+        const kioskToken = await db.transaction(async (tx) => {
+            const result = await tx.insert('kiosk_tokens', {
+                ...values,
+                project_id: projectId,
+                token_hash: hashToken(token),
+                created_by: req.user.id
             });
-        } else {
-            // Regular scan - broadcast to clients
-            broadcastToClients({
-                type: 'tag_scan',
-                scan: {
-                    tag_id,
-                    scanner_mac,
-                    scanner_name: scanner.name,
-                    timestamp: timestamp || new Date().toISOString()
-                }
+            const created = publicKioskToken(await findById('kiosk_tokens', result.insertId, tx));
+            await recordAudit(tx, req, {
+                action: 'kiosk_token.created', entityType: 'kiosk_token', entityId: created.id,
+                projectId: parseInt(projectId), after: created
             });
+            return created;
+        });
 
-            res.json({
-                success: true,
-                message: 'Scan recorded'
-            });
-        }
+        log('info', `Kiosk token ${kioskToken.id} (${kioskToken.name}) created for project ${projectId} by ${req.user.username}`);
 
+        res.status(201).json({ ...kioskToken, token });
     } catch (error) {
-        log('error', 'Failed to process tag scan', error.message);
-        res.status(500).json({ error: 'Failed to process tag scan' });
+        log('error', 'Failed to create kiosk token', error.message);
+        res.status(500).json({ error: 'Failed to create kiosk token' });
     }
 });
 
-// Get recent scans
-app.get('/api/scans/recent', async (req, res) => {
+// Revoke a kiosk token immediately
+app.delete('/api/kiosk-tokens/:id', requireRole('admin'), requireOrganizationAccess('kioskToken'), async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
+        const revoked = await db.transaction(async (tx) => {
+            const result = await tx.execute(
+                'UPDATE kiosk_tokens SET active = 0 WHERE id = ? AND active = 1',
+                [req.params.id]
+            );
+            if (result.affectedRows === 0) {
+                return false;
+            }
 
-        // This would need to be adapted based on your actual scans table structure
-        // For now, we'll return tag assignments as recent activity
-        const [rows] = await dbPool.execute(`
-            SELECT
-                ta.tag_id,
-                ta.assigned_at as timestamp,
-                g.name as guest_name,
-                p.name as project_name,
-                'assignment' as scan_type
-            FROM tag_assignments ta
-            JOIN guests g ON ta.guest_id = g.id
-            JOIN projects p ON ta.project_id = p.id
-            ORDER BY ta.assigned_at DESC
-            LIMIT ?
-        `, [limit]);
+            const kioskToken = publicKioskToken(await findById('kiosk_tokens', req.params.id, tx));
+            await recordAudit(tx, req, {
+                action: 'kiosk_token.revoked', entityType: 'kiosk_token', entityId: kioskToken.id,
+                projectId: kioskToken.project_id, after: kioskToken
+            });
+            return true;
+        });
 
-        res.json(rows);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Kiosk token not found' });
+        }
+
+        log('info', `Kiosk token ${req.params.id} revoked by ${req.user.username}`);
+
+        res.json({ success: true });
     } catch (error) {
-        log('error', 'Failed to fetch recent scans', error.message);
-        res.status(500).json({ error: 'Failed to fetch recent scans' });
+        log('error', 'Failed to revoke kiosk token', error.message);
+        res.status(500).json({ error: 'Failed to revoke kiosk token' });
     }
 });
 
-// Get system statistics
-app.get('/api/stats', async (req, res) => {
-    try {
-        const [projectCount] = await dbPool.execute('SELECT COUNT(*) as count FROM projects');
-        const [guestCount] = await dbPool.execute('SELECT COUNT(*) as count FROM guests');
-        const [scannerCount] = await dbPool.execute('SELECT COUNT(*) as count FROM scanners');
-        const [assignmentCount] = await dbPool.execute('SELECT COUNT(*) as count FROM tag_assignments');
-        const [pendingCount] = await dbPool.execute(
-            'SELECT COUNT(*) as count FROM pending_tag_assignments WHERE status = "waiting"'
-        );
+// What a kiosk shows of a guest; kiosks are public, so no contact details
+function kioskGuest(guest) {
+    return {
+        id: guest.id,
+        name: guest.name,
+        vip: Boolean(guest.vip),
+        checkedInAt: guest.checked_in_at
+    };
+}
+
+// The kiosk's project, scanner and check-in counts, for the kiosk screen
+app.get('/api/kiosk/info', requireKiosk, async (req, res) => {
+    try {
+        const { kiosk } = req;
 
         res.json({
-            projects: projectCount[0].count,
-            guests: guestCount[0].count,
-            scanners: scannerCount[0].count,
-            assignments: assignmentCount[0].count,
-            pending_assignments: pendingCount[0].count,
-            connected_clients: connectedClients.size,
-            uptime: process.uptime()
+            kiosk: { id: kiosk.id, name: kiosk.name },
+            project: { id: kiosk.project_id, name: kiosk.project_name },
+            scanner: { id: kiosk.scanner_id, name: kiosk.scanner_name, location: kiosk.scanner_location },
+            counts: await loadCheckInCounts(kiosk.project_id)
         });
     } catch (error) {
-        log('error', 'Failed to fetch statistics', error.message);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        log('error', 'Failed to fetch kiosk info', error.message);
+        res.status(500).json({ error: 'Failed to fetch kiosk info' });
     }
 });
 
-// Remove tag assignment
-app.delete('/api/tag-assignment/:guestId', async (req, res) => {
+// Find guests of the kiosk's project by QR code or email (exact) or part of the name (?q=)
+app.get('/api/kiosk/guests', requireKiosk, async (req, res) => {
     try {
-        const { guestId } = req.params;
-        const { projectId } = req.query;
-
-        if (!projectId) {
-            return res.status(400).json({ error: 'Missing projectId parameter' });
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (q.length < KIOSK_SEARCH_MIN_LENGTH) {
+            return res.status(400).json({ error: `q must be at least ${KIOSK_SEARCH_MIN_LENGTH} characters` });
         }
 
-        // Remove tag assignment
-        await dbPool.execute(
-            'DELETE FROM tag_assignments WHERE guest_id = ? AND project_id = ?',
-            [guestId, projectId]
-        );
+        const rows = await db.query(`
+            SELECT * FROM guests
+            WHERE project_id = ? AND (qr_code = ? OR email = ? OR name LIKE ? ESCAPE '!')
+            ORDER BY CASE WHEN qr_code = ? THEN 0 ELSE 1 END, name
+            LIMIT ${KIOSK_SEARCH_LIMIT}
+        `, [req.kiosk.project_id, q, q.toLowerCase(), containsPattern(q), q]);
 
-        // Cancel any pending assignments
-        await dbPool.execute(`
-            UPDATE pending_tag_assignments
-            SET status = 'cancelled'
-            WHERE guest_id = ? AND project_id = ? AND status = 'waiting'
-        `, [guestId, projectId]);
+        res.json(rows.map(kioskGuest));
+    } catch (error) {
+        log('error', 'Failed to search guests at kiosk', error.message);
+        res.status(500).json({ error: 'Failed to search guests' });
+    }
+});
 
-        // Broadcast update
-        broadcastToClients({
-            type: 'tag_assignment_removed',
-            guestId: parseInt(guestId),
-            projectId: parseInt(projectId)
-        });
+// Check a guest in at the kiosk: { guestId } or { qrCode }. Unless the guest already has a
+// tag, the next scan on the kiosk's scanner hands one out.
+app.post('/api/kiosk/check-in', requireKiosk, async (req, res) => {
+    try {
+        const guestId = parseId(req.body.guestId);
+        const qrCode = typeof req.body.qrCode === 'string' ? req.body.qrCode.trim() : '';
+        if (!guestId && !qrCode) {
+            return res.status(400).json({ error: 'Missing guestId or qrCode' });
+        }
 
-        log('info', `Tag assignment removed for guest ${guestId} in project ${projectId}`);
+        const rows = guestId
+            ? await db.query('SELECT * FROM guests WHERE id = ? AND project_id = ?', [guestId, req.kiosk.project_id])
+            : await db.query('SELECT * FROM guests WHERE qr_code = ? AND project_id = ?', [qrCode, req.kiosk.project_id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
 
-        res.json({ success: true });
+        const outcome = await checkInGuest(req, rows[0], req.kiosk.scanner_id, 'kiosk');
 
+        res.json({
+            success: true,
+            alreadyCheckedIn: outcome.alreadyCheckedIn,
+            guest: kioskGuest(outcome.guest),
+            tagId: outcome.tagId,
+            assignment: outcome.assignment
+                ? { id: outcome.assignment.id, status: outcome.assignment.status, expiresAt: outcome.assignment.expiresAt }
+                : null,
+            batchId: outcome.batchId
+        });
     } catch (error) {
-        log('error', 'Failed to remove tag assignment', error.message);
-        res.status(500).json({ error: 'Failed to remove tag assignment' });
+        log('error', 'Failed to check in guest at kiosk', error.message);
+        res.status(500).json({ error: 'Failed to check in guest' });
     }
 });
 
@@ -761,6 +5471,12 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown(signal) {
     log('info', `Received ${signal}, starting graceful shutdown`);
 
+    // Stop background timers
+    clearInterval(wsHeartbeatTimer);
+    clearInterval(scannerMonitorTimer);
+    clearInterval(pendingAssignmentSweepTimer);
+    clearInterval(webhookDispatchTimer);
+
     // Close WebSocket server
     wss.close(() => {
         log('info', 'WebSocket server closed');
@@ -771,10 +5487,10 @@ async function gracefulShutdown(signal) {
         log('info', 'HTTP server closed');
     });
 
-    // Close database pool
-    if (dbPool) {
-        await dbPool.end();
-        log('info', 'Database pool closed');
+    // Close database connection
+    if (db) {
+        await db.close();
+        log('info', 'Database connection closed');
     }
 
     // Close log stream
@@ -786,7 +5502,7 @@ async function gracefulShutdown(signal) {
 }
 
 // WebSocket heartbeat
-setInterval(() => {
+const wsHeartbeatTimer = setInterval(() => {
     connectedClients.forEach(client => {
         if (client.readyState === WebSocket.OPEN) {
             client.ping();
@@ -796,6 +5512,32 @@ setInterval(() => {
     });
 }, config.wsHeartbeatInterval);
 
+// Background jobs, started once the database is ready
+let scannerMonitorTimer;
+let pendingAssignmentSweepTimer;
+let webhookDispatchTimer;
+
+// Create the initial admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet
+async function ensureAdminUser() {
+    const rows = await db.query('SELECT COUNT(*) as count FROM users');
+    if (rows[0].count > 0) {
+        return;
+    }
+
+    if (!config.adminUsername || !config.adminPassword) {
+        log('warn', 'No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+        return;
+    }
+
+    await db.insert('users', {
+        username: config.adminUsername.toLowerCase(),
+        name: 'Administrator',
+        password_hash: await hashPassword(config.adminPassword),
+        role: 'admin'
+    });
+    log('info', `Initial admin user ${config.adminUsername} created`);
+}
+
 // Server initialization
 async function startServer() {
     try {
@@ -804,14 +5546,32 @@ async function startServer() {
         log('info', 'Logging initialized');
 
         // Initialize database
-        await initializeDatabase();
-        log('info', 'Database initialized');
+        db = await initializeDatabase({
+            mysqlConfig: config.db,
+            sqlitePath: config.sqlitePath,
+            log
+        });
+        log('info', `Database initialized (${db.dialect})`);
+
+        await ensureAdminUser();
+        organizationIndex.load(
+            await db.query('SELECT id, organization_id FROM projects'),
+            await db.query('SELECT id, organization_id FROM scanners')
+        );
+
+        // Start background monitors
+        scannerMonitorTimer = setInterval(checkScannerStatus, config.scannerMonitorInterval);
+        pendingAssignmentSweepTimer = setInterval(expirePendingAssignments, config.pendingAssignmentSweepInterval);
+        webhookDispatchTimer = setInterval(dispatchWebhooks, config.webhookDispatchInterval);
 
         // Start server
         server.listen(config.port, () => {
             log('info', `SmartVisitor Admin Server started on port ${config.port}`);
             log('info', `Environment: ${process.env.NODE_ENV || 'development'}`);
             log('info', `WebSocket heartbeat interval: ${config.wsHeartbeatInterval}ms`);
+            if (!config.webhookSignatureRequired) {
+                log('warn', 'Webhook signature verification is disabled (WEBHOOK_SIGNATURE_REQUIRED=false)');
+            }
         });
 
     } catch (error) {